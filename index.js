@@ -3,6 +3,18 @@ import { SessionManager } from './src/core/SessionManager.js';
 import { SocketManager } from './src/core/SocketManager.js';
 import { MongoManager } from './src/core/MongoManager.js';
 import { PluginManager } from './src/core/PluginManager.js';
+import { SettingsManager } from './src/core/SettingsManager.js';
+import { GroupConfigManager } from './src/core/GroupConfigManager.js';
+import { RoleManager } from './src/core/RoleManager.js';
+import { IdentityResolver } from './src/core/IdentityResolver.js';
+import { AntiLinkFilter } from './src/core/AntiLinkFilter.js';
+import { WelcomeManager } from './src/core/WelcomeManager.js';
+import { CallManager } from './src/core/CallManager.js';
+import { MessageStore } from './src/core/MessageStore.js';
+import { ActivityTracker } from './src/core/ActivityTracker.js';
+import { BanManager } from './src/core/BanManager.js';
+import { AntiDeleteManager } from './src/core/AntiDeleteManager.js';
+import { MessageDispatcher } from './src/core/MessageDispatcher.js';
 import { HealthMonitor } from './src/core/HealthMonitor.js';
 import { startServer } from './src/server.js';
 import { config } from 'dotenv';
@@ -18,6 +30,10 @@ const state = {
   socketManager: null,
   mongoManager: null,
   pluginManager: null,
+  settingsManager: null,
+  groupConfig: null,
+  roles: null,
+  identity: null,
   healthMonitor: null,
   isShuttingDown: false
 };
@@ -37,11 +53,33 @@ async function gracefulShutdown(signal = 'UNKNOWN') {
       state.healthMonitor.stop();
     }
 
+    // Abort running plugin jobs
+    if (state.pluginManager) {
+      state.pluginManager.stopWatching();
+      state.pluginManager.services.bans?.stop();
+      state.pluginManager.abortAll('shutdown');
+    }
+
+    // Give queued replies a moment to go out
+    if (state.pluginManager?.services.outbound) {
+      await state.pluginManager.services.outbound.stop();
+    }
+
     // Close socket connection
     if (state.socketManager) {
       await state.socketManager.disconnect();
     }
 
+    // Push any pending session update before the DB goes away
+    if (state.sessionManager?.sync) {
+      await state.sessionManager.sync.stop();
+    }
+
+    // Write buffered user and message activity
+    if (state.pluginManager?.services.activity) {
+      await state.pluginManager.services.activity.stop();
+    }
+
     // Close MongoDB connection
     if (state.mongoManager) {
       await state.mongoManager.close();
@@ -70,16 +108,85 @@ async function initializeBot() {
 
     // Initialize Session Manager - PASS PROCESS.ENV HERE
     console.log(chalk.blue('🔐 Initializing Session Manager...'));
-    state.sessionManager = new SessionManager(process.env);
+    state.sessionManager = new SessionManager(process.env, state.mongoManager);
     await state.sessionManager.initialize();
     console.log(chalk.green('✅ Session initialized\n'));
 
+    // Load runtime settings (env vars are only defaults)
+    console.log(chalk.blue('⚙️ Loading settings...'));
+    state.settingsManager = new SettingsManager(state.mongoManager);
+    await state.settingsManager.initialize();
+    state.groupConfig = new GroupConfigManager(state.mongoManager, state.settingsManager);
+    await state.groupConfig.initialize();
+    state.roles = new RoleManager(state.mongoManager, state.settingsManager);
+    await state.roles.initialize();
+    state.identity = new IdentityResolver(state.mongoManager);
+    await state.identity.initialize();
+    console.log(chalk.green(`✅ Settings loaded (prefix "${state.settingsManager.get('prefix')}")\n`));
+
     // Initialize Plugin Manager
     console.log(chalk.blue('🔌 Loading plugins...'));
-    state.pluginManager = new PluginManager(state.mongoManager);
+    state.pluginManager = new PluginManager(state.mongoManager, {
+      sessionManager: state.sessionManager,
+      settings: state.settingsManager,
+      groupConfig: state.groupConfig,
+      roles: state.roles,
+      identity: state.identity
+    });
     await state.pluginManager.loadPlugins();
+
+    const antiLink = new AntiLinkFilter(state.mongoManager, state.pluginManager);
+    await antiLink.initialize();
+    state.pluginManager.addFilter(antiLink);
+    state.pluginManager.services.welcome = new WelcomeManager(state.pluginManager, state.groupConfig);
+
+    const calls = new CallManager(state.mongoManager, state.pluginManager, state.settingsManager);
+    await calls.initialize();
+    state.pluginManager.services.calls = calls;
+
+    const messageStore = new MessageStore(state.mongoManager, {
+      ttlDays: parseInt(process.env.MESSAGE_STORE_TTL_DAYS),
+      cacheSize: parseInt(process.env.MESSAGE_STORE_CACHE)
+    });
+    await messageStore.initialize();
+    state.pluginManager.services.messageStore = messageStore;
+
+    const antiDelete = new AntiDeleteManager(state.mongoManager, state.pluginManager, messageStore, {
+      editTtlDays: parseInt(process.env.EDIT_HISTORY_TTL_DAYS)
+    });
+    await antiDelete.initialize();
+    state.pluginManager.addFilter(antiDelete);
+    state.pluginManager.services.antiDelete = antiDelete;
+
+    const activity = new ActivityTracker(state.mongoManager, {
+      flushInterval: parseInt(process.env.ACTIVITY_FLUSH_INTERVAL),
+      batchSize: parseInt(process.env.ACTIVITY_BATCH_SIZE),
+      ttlDays: parseInt(process.env.ACTIVITY_TTL_DAYS),
+      storeContent: process.env.ACTIVITY_STORE_CONTENT === 'true'
+    });
+    await activity.initialize();
+    state.pluginManager.services.activity = activity;
+
+    const bans = new BanManager(state.mongoManager, state.pluginManager, state.settingsManager, {
+      getSocket: () => state.socketManager?.sock
+    });
+    await bans.initialize();
+    state.pluginManager.services.bans = bans;
+
+    state.pluginManager.services.outbound = new MessageDispatcher({
+      globalIntervalMs: parseInt(process.env.OUTBOUND_GLOBAL_INTERVAL),
+      chatIntervalMs: parseInt(process.env.OUTBOUND_CHAT_INTERVAL),
+      maxRetries: parseInt(process.env.OUTBOUND_MAX_RETRIES),
+      retryDelayMs: parseInt(process.env.OUTBOUND_RETRY_DELAY),
+      holdMs: parseInt(process.env.OUTBOUND_HOLD_MAX),
+      maxQueue: parseInt(process.env.OUTBOUND_QUEUE_MAX)
+    });
     console.log(chalk.green(`✅ Loaded ${state.pluginManager.getPluginCount()} plugins\n`));
 
+    if (process.env.PLUGIN_HOT_RELOAD === 'true') {
+      state.pluginManager.watchPlugins();
+    }
+
     // Initialize Socket Manager
     console.log(chalk.blue('🔗 Connecting to WhatsApp...'));
     state.socketManager = new SocketManager(
@@ -0,0 +1,40 @@
+export default {
+  name: 'cancel',
+  description: 'List or cancel running commands',
+  aliases: ['jobs', 'kill'],
+  category: 'owner',
+  permission: 'sudo',
+  params: [
+    { name: 'jobId', type: 'string', description: 'Job to cancel (omit to list running jobs)' }
+  ],
+  example: 'cancel a1b2c3',
+
+  async run({ msg, params, sock, prefix, services, jobId: ownJobId }) {
+    const sender = msg.key.remoteJid;
+    const { pluginManager } = services;
+
+    if (!params.jobId) {
+      const jobs = pluginManager.getRunningJobs().filter(job => job.id !== ownJobId);
+
+      if (jobs.length === 0) {
+        return await sock.sendMessage(sender, { text: '✅ No commands are running.' });
+      }
+
+      const list = jobs.map(job =>
+        `• *${job.id}* - ${job.plugin} (${Math.round(job.runningMs / 1000)}s / ${job.timeout / 1000}s)\n  └ ${job.event ? `on ${job.event}` : job.user.split('@')[0]}`
+      ).join('\n');
+
+      return await sock.sendMessage(sender, {
+        text: `*⚙️ RUNNING COMMANDS*\n\n${list}\n\nUse ${prefix}cancel <jobId> to stop one.`
+      });
+    }
+
+    const cancelled = pluginManager.cancelJob(params.jobId);
+
+    await sock.sendMessage(sender, {
+      text: cancelled
+        ? `⛔ Job ${params.jobId} cancelled.`
+        : `❌ No running job with id "${params.jobId}".`
+    });
+  }
+};
@@ -5,22 +5,17 @@ export default {
   description: 'Repeats your message back to you',
   aliases: ['repeat', 'say'],
   category: 'fun',
-  usage: '<text>',
+  params: [
+    { name: 'text', type: 'rest', required: true, description: 'Text to echo back' }
+  ],
   example: 'echo Hello World!',
   version: '1.0.0',
 
-  async run({ msg, args, sock, prefix }) {
+  async run({ msg, params, sock }) {
     const sender = msg.key.remoteJid;
 
-    // Check if user provided text
-    if (args.length === 0) {
-      return await sock.sendMessage(sender, {
-        text: `❌ Please provide text to echo!\n\n*Usage:* ${prefix}echo <text>\n*Example:* ${prefix}echo Hello World!`
-      });
-    }
-
-    // Join all arguments into a single string
-    const text = args.join(' ');
+    // "text" is required, so the dispatcher already rejected empty input
+    const { text } = params;
 
     // Send the echo response with a fun format
     const echoMessage = `🔊 *ECHO*\n\n"${text}"`;
@@ -0,0 +1,41 @@
+export default {
+  name: 'edits',
+  description: 'Show the edit history of a message (reply to it)',
+  aliases: ['edithistory', 'history'],
+  category: 'utility',
+  example: 'edits',
+
+  async run({ msg, sock, prefix, chatConfig, services }) {
+    const chatId = msg.key.remoteJid;
+    const { antiDelete } = services;
+
+    const quotedId = msg.message?.extendedTextMessage?.contextInfo?.stanzaId;
+    if (!quotedId) {
+      return await sock.sendMessage(chatId, {
+        text: `❌ Reply to an edited message with ${prefix}edits`
+      });
+    }
+
+    if (!antiDelete || !chatConfig?.editHistory) {
+      return await sock.sendMessage(chatId, {
+        text: '⚠️ Edit history is not enabled in this chat.'
+      });
+    }
+
+    const versions = await antiDelete.getEditHistory(chatId, quotedId);
+
+    if (versions.length === 0) {
+      return await sock.sendMessage(chatId, {
+        text: 'ℹ️ No edits recorded for that message.'
+      }, { quoted: msg });
+    }
+
+    const list = versions.map(v =>
+      `*${v.version === 0 ? 'Original' : `Edit ${v.version}`}* (${v.editedAt.toLocaleString()})\n${v.text || '_no text_'}`
+    ).join('\n\n');
+
+    await sock.sendMessage(chatId, {
+      text: `*✏️ EDIT HISTORY*\n\n${list}`
+    }, { quoted: msg });
+  }
+};
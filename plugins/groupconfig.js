@@ -0,0 +1,227 @@
+import { SettingError } from '../src/core/SettingsManager.js';
+
+export default {
+  name: 'groupconfig',
+  description: 'Configure the bot for this group',
+  aliases: ['gc', 'gconfig'],
+  category: 'group',
+  groupOnly: true,
+  adminOnly: true,
+  alwaysEnabled: true,
+  subcommands: {
+    show: {},
+    prefix: {
+      params: [{ name: 'value', type: 'string', required: true, description: 'New prefix, or "default"' }]
+    },
+    language: {
+      params: [{ name: 'value', type: 'string', required: true, description: 'Language code, or "default"' }]
+    },
+    antilink: {
+      params: [{ name: 'state', type: 'enum', choices: ['on', 'off', 'default'], required: true }]
+    },
+    welcome: {
+      params: [{ name: 'state', type: 'enum', choices: ['on', 'off', 'default'], required: true }]
+    },
+    antidelete: {
+      params: [{ name: 'target', type: 'enum', choices: ['off', 'owner', 'chat', 'default'], required: true }]
+    },
+    edithistory: {
+      params: [{ name: 'state', type: 'enum', choices: ['on', 'off', 'default'], required: true }]
+    },
+    linkaction: {
+      params: [{ name: 'action', type: 'enum', choices: ['warn', 'kick', 'log'], required: true }]
+    },
+    linkmode: {
+      params: [{ name: 'mode', type: 'enum', choices: ['invites', 'all'], required: true }]
+    },
+    linkallow: {
+      params: [
+        { name: 'action', type: 'enum', choices: ['add', 'remove', 'clear'], required: true },
+        { name: 'domain', type: 'string', description: 'Domain to allow (add/remove)' }
+      ]
+    },
+    disable: {
+      params: [{ name: 'plugin', type: 'string', required: true, description: 'Plugin to turn off here' }]
+    },
+    enable: {
+      params: [{ name: 'plugin', type: 'string', required: true, description: 'Plugin to turn back on' }]
+    },
+    only: {
+      params: [
+        { name: 'action', type: 'enum', choices: ['add', 'remove', 'clear'], required: true },
+        { name: 'plugin', type: 'string', description: 'Plugin name (add/remove)' }
+      ]
+    },
+    reset: {}
+  },
+  example: 'groupconfig disable sticker',
+
+  async run({ msg, params, sock, actor, prefix, chatConfig, services }) {
+    const chatId = msg.key.remoteJid;
+    const { groupConfig, pluginManager } = services;
+    const updatedBy = actor.id;
+    const reply = (text) => sock.sendMessage(chatId, { text });
+
+    if (!groupConfig) {
+      return await reply('❌ Group configuration is not available.');
+    }
+
+    try {
+      switch (params.subcommand) {
+        case 'show':
+          return await reply(formatConfig(chatConfig || await groupConfig.resolve(chatId)));
+
+        case 'prefix':
+        case 'language': {
+          const key = params.subcommand;
+          if (params.value.toLowerCase() === 'default') {
+            await groupConfig.unset(chatId, key, updatedBy);
+            return await reply(`✅ ${key} reset to the global value`);
+          }
+          const value = await groupConfig.set(chatId, key, params.value, updatedBy);
+          return await reply(`✅ ${key} for this group set to: ${value}`);
+        }
+
+        case 'antilink':
+        case 'welcome': {
+          const key = params.subcommand;
+          if (params.state === 'default') {
+            await groupConfig.unset(chatId, key, updatedBy);
+            return await reply(`✅ ${key} now follows the global setting`);
+          }
+          const value = await groupConfig.set(chatId, key, params.state, updatedBy);
+          return await reply(`✅ ${key} ${value ? 'enabled' : 'disabled'} for this group`);
+        }
+
+        case 'antidelete':
+        case 'edithistory': {
+          const key = params.subcommand === 'antidelete' ? 'antidelete' : 'editHistory';
+          const value = params.target || params.state;
+          if (value === 'default') {
+            await groupConfig.unset(chatId, key, updatedBy);
+            return await reply(`✅ ${key} now follows the global setting`);
+          }
+          const applied = await groupConfig.set(chatId, key, value, updatedBy);
+          return await reply(key === 'antidelete'
+            ? `✅ Deleted messages: ${applied === 'off' ? 'ignored' : `resent to the ${applied}`}`
+            : `✅ Edit history ${applied ? 'enabled' : 'disabled'} for this group`);
+        }
+
+        case 'linkaction': {
+          const value = await groupConfig.set(chatId, 'antilinkAction', params.action, updatedBy);
+          return await reply(`✅ Link posters will now get: ${value}`);
+        }
+
+        case 'linkmode': {
+          const value = await groupConfig.set(chatId, 'antilinkMode', params.mode, updatedBy);
+          return await reply(value === 'all'
+            ? '✅ Anti-link now blocks every link'
+            : '✅ Anti-link now blocks group and channel invites only');
+        }
+
+        case 'linkallow':
+          return await handleLinkAllow(params, chatId, groupConfig, updatedBy, reply);
+
+        case 'disable':
+        case 'enable': {
+          const plugin = pluginManager.findPlugin(params.plugin.toLowerCase());
+          if (!plugin) {
+            return await reply(`❌ Unknown plugin "${params.plugin}"`);
+          }
+          if (plugin.alwaysEnabled || plugin.permission === 'owner') {
+            return await reply(`❌ "${plugin.name}" can't be disabled per group`);
+          }
+
+          const disable = params.subcommand === 'disable';
+          await groupConfig.updateList(chatId, 'disabledPlugins', plugin.name, disable, updatedBy);
+          return await reply(`✅ ${plugin.name} ${disable ? 'disabled' : 'enabled'} in this group`);
+        }
+
+        case 'only':
+          return await handleAllowlist(params, chatId, groupConfig, pluginManager, updatedBy, reply);
+
+        case 'reset':
+          await groupConfig.reset(chatId);
+          return await reply('✅ All group overrides removed, using global settings');
+
+        default:
+          return await reply(`*⚙️ GROUP CONFIG*
+
+- ${prefix}groupconfig show
+- ${prefix}groupconfig prefix <value|default>
+- ${prefix}groupconfig language <code|default>
+- ${prefix}groupconfig antilink <on|off|default>
+- ${prefix}groupconfig welcome <on|off|default>
+- ${prefix}groupconfig antidelete <off|owner|chat|default>
+- ${prefix}groupconfig edithistory <on|off|default>
+- ${prefix}groupconfig linkaction <warn|kick|log>
+- ${prefix}groupconfig linkmode <invites|all>
+- ${prefix}groupconfig linkallow <add|remove|clear> [domain]
+- ${prefix}groupconfig disable <plugin>
+- ${prefix}groupconfig enable <plugin>
+- ${prefix}groupconfig only <add|remove|clear> [plugin]
+- ${prefix}groupconfig reset`);
+      }
+    } catch (error) {
+      if (!(error instanceof SettingError)) throw error;
+      await reply(`❌ ${error.message}`);
+    }
+  }
+};
+
+async function handleAllowlist(params, chatId, groupConfig, pluginManager, updatedBy, reply) {
+  if (params.action === 'clear') {
+    await groupConfig.unset(chatId, 'enabledPlugins', updatedBy);
+    return await reply('✅ Allowlist cleared, all plugins can run here');
+  }
+
+  if (!params.plugin) {
+    return await reply(`❌ Missing required argument "plugin"`);
+  }
+
+  const plugin = pluginManager.findPlugin(params.plugin.toLowerCase());
+  if (!plugin) {
+    return await reply(`❌ Unknown plugin "${params.plugin}"`);
+  }
+
+  const add = params.action === 'add';
+  const list = await groupConfig.updateList(chatId, 'enabledPlugins', plugin.name, add, updatedBy);
+
+  await reply(list.length > 0
+    ? `✅ Only these plugins run here: ${list.join(', ')}`
+    : '✅ Allowlist empty, all plugins can run here');
+}
+
+async function handleLinkAllow(params, chatId, groupConfig, updatedBy, reply) {
+  if (params.action === 'clear') {
+    await groupConfig.unset(chatId, 'antilinkAllow', updatedBy);
+    return await reply('✅ Allowed domains cleared');
+  }
+
+  if (!params.domain) {
+    return await reply(`❌ Missing required argument "domain"`);
+  }
+
+  const add = params.action === 'add';
+  const list = await groupConfig.updateList(chatId, 'antilinkAllow', params.domain, add, updatedBy);
+
+  await reply(`✅ Allowed domains: ${list.join(', ') || 'none'}`);
+}
+
+function formatConfig(config) {
+  const mark = (key) => config.overridden.includes(key) ? '' : ' _(global)_';
+  const onOff = (value) => value ? '✅ On' : '❌ Off';
+
+  return `*⚙️ GROUP CONFIG*
+
+• Prefix: ${config.prefix}${mark('prefix')}
+• Language: ${config.language}${mark('language')}
+• Antilink: ${onOff(config.antilink)}${mark('antilink')}
+  └ ${config.antilinkMode === 'all' ? 'All links' : 'Invites only'}, action: ${config.antilinkAction}
+  └ Allowed: ${config.antilinkAllow.join(', ') || 'none'}
+• Welcome: ${onOff(config.welcome)}${mark('welcome')}
+• Anti-delete: ${config.antidelete}${mark('antidelete')}
+• Edit history: ${onOff(config.editHistory)}${mark('editHistory')}
+• Disabled plugins: ${config.disabledPlugins.join(', ') || 'none'}
+• Allowed plugins: ${config.enabledPlugins.join(', ') || 'all'}`;
+}
@@ -2,19 +2,19 @@ export default {
   name: 'help',
   description: 'Get help for a specific command',
   category: 'general',
+  params: [
+    { name: 'command', type: 'string', required: true, description: 'Command to explain' }
+  ],
+  example: 'help ping',
 
-  async run({ msg, args, sock, db, prefix }) {
+  async run({ msg, params, sock, db, prefix }) {
     const sender = msg.key.remoteJid;
-    const commandName = args[0];
-
-    if (!commandName) {
-      return await sock.sendMessage(sender, {
-        text: `❌ Usage: ${prefix}help <command>\nExample: ${prefix}help ping`
-      });
-    }
+    const commandName = params.command.toLowerCase();
 
     const pluginsCol = db.collection('plugins');
-    const plugin = await pluginsCol.findOne({ name: commandName });
+    const plugin = await pluginsCol.findOne({
+      $or: [{ name: commandName }, { aliases: commandName }]
+    });
 
     if (!plugin) {
       return await sock.sendMessage(sender, {
@@ -28,10 +28,33 @@ export default {
 *Description:* ${plugin.description || 'No description'}
 *Category:* ${plugin.category || 'general'}
 *Aliases:* ${plugin.aliases?.join(', ') || 'None'}
-*Usage:* ${prefix}${plugin.name} ${plugin.usage || ''}
-
+*Usage:*
+${formatUsageLines(plugin, prefix)}
+${formatParams(plugin.params)}
 ${plugin.example ? `*Example:*\n${prefix}${plugin.example}` : ''}`;
 
     await sock.sendMessage(sender, { text: helpText });
   }
 };
+
+/**
+ * Usage lines stored by the plugin manager (one per subcommand)
+ */
+function formatUsageLines(plugin, prefix) {
+  const lines = plugin.usage ? plugin.usage.split('\n') : [''];
+  return lines.map(line => `${prefix}${plugin.name} ${line}`.trim()).join('\n');
+}
+
+/**
+ * Argument details generated from the plugin schema
+ */
+function formatParams(params = []) {
+  if (params.length === 0) return '';
+
+  const lines = params.map(p => {
+    const flags = p.required ? 'required' : `optional${p.default !== undefined ? `, default: ${p.default}` : ''}`;
+    return `• *${p.name}* (${p.type}, ${flags})${p.description ? ` - ${p.description}` : ''}`;
+  });
+
+  return `\n*Arguments:*\n${lines.join('\n')}\n`;
+}
@@ -29,6 +29,9 @@ export default {
       let disabledCount = 0;
 
       for (const plugin of allPlugins) {
+        // Event-only plugins have nothing to type
+        if (plugin.command === false) continue;
+
         const category = plugin.category || 'uncategorized';
         
         if (!categories[category]) {
@@ -43,7 +46,7 @@ export default {
           description: plugin.description || 'No description available',
           aliases: plugin.aliases || [],
           usage: plugin.usage || '',
-          ownerOnly: plugin.ownerOnly || false
+          permission: plugin.permission || (plugin.ownerOnly ? 'owner' : 'user')
         };
 
         if (plugin.enabled !== false) {
@@ -142,9 +145,9 @@ export default {
       const isLast = index === plugins.length - 1;
       const connector = isLast ? '┗' : '┣';
       
-      // Command name with owner badge if needed
-      const ownerBadge = plugin.ownerOnly ? ' 🔒' : '';
-      section += `${connector}━ ${prefix}${plugin.name}${ownerBadge}\n`;
+      // Command name with a badge for restricted commands
+      const badge = plugin.permission !== 'user' ? ' 🔒' : '';
+      section += `${connector}━ ${prefix}${plugin.name}${badge}\n`;
       
       // Description
       section += `┃  └ ${plugin.description}\n`;
@@ -155,9 +158,11 @@ export default {
         section += `┃     ↳ Aliases: ${aliasText}\n`;
       }
       
-      // Usage if specified
+      // Usage lines generated from the plugin's argument schema
       if (plugin.usage) {
-        section += `┃     ↳ Usage: ${prefix}${plugin.name} ${plugin.usage}\n`;
+        for (const line of plugin.usage.split('\n')) {
+          section += `┃     ↳ Usage: ${prefix}${plugin.name} ${line}\n`;
+        }
       }
     });
 
@@ -1,84 +1,190 @@
-import { isOwner } from '../src/utils/helpers.js';
 import chalk from 'chalk';
+import { SettingError } from '../src/core/SettingsManager.js';
+import { PERMISSIONS, RoleError } from '../src/core/RoleManager.js';
+import { BanError } from '../src/core/BanManager.js';
+import { toJid } from '../src/utils/argParser.js';
+import { parseDuration, formatDuration, isGroupJid } from '../src/utils/helpers.js';
 
 export default {
   name: 'owner',
   description: 'Owner plugin management and bot settings',
   aliases: ['admin', 'sudo'],
   category: 'owner',
-  ownerOnly: true,
+  permission: 'owner',
+  subcommands: {
+    plugins: {
+      params: [
+        { name: 'action', type: 'enum', choices: ['list', 'enable', 'disable'], required: true },
+        { name: 'plugin', type: 'string', description: 'Plugin name (enable/disable)' }
+      ]
+    },
+    prefix: {
+      params: [{ name: 'prefix', type: 'string', required: true, description: 'New command prefix' }]
+    },
+    setowner: {
+      params: [{ name: 'number', type: 'jid', required: true, description: 'Owner phone number' }]
+    },
+    antilink: {
+      params: [{ name: 'state', type: 'enum', choices: ['on', 'off'], required: true }]
+    },
+    welcome: {
+      params: [{ name: 'state', type: 'enum', choices: ['on', 'off'], required: true }]
+    },
+    antidelete: {
+      params: [{ name: 'target', type: 'enum', choices: ['off', 'owner', 'chat'], required: true }]
+    },
+    edithistory: {
+      params: [{ name: 'state', type: 'enum', choices: ['on', 'off'], required: true }]
+    },
+    settings: {},
+    calls: {
+      params: [
+        { name: 'policy', type: 'enum', choices: ['status', 'allow', 'reject', 'reject-message', 'block', 'log'], default: 'status' }
+      ]
+    },
+    callmsg: {
+      params: [{ name: 'text', type: 'rest', required: true, description: 'Message sent to rejected callers' }]
+    },
+    callblock: {
+      params: [
+        { name: 'count', type: 'number', integer: true, required: true, description: 'Calls before blocking' },
+        { name: 'minutes', type: 'number', integer: true, description: 'Counting window' }
+      ]
+    },
+    ban: {
+      params: [
+        { name: 'target', type: 'string', required: true, description: 'Number, @user, group JID or "here"' },
+        { name: 'details', type: 'rest', description: '[duration like 30m, 12h, 7d] [reason]' }
+      ]
+    },
+    unban: {
+      params: [{ name: 'target', type: 'string', required: true, description: 'Number, @user, group JID or "here"' }]
+    },
+    banlist: {},
+    grant: {
+      params: [
+        { name: 'target', type: 'string', required: true, description: 'Number or @user' },
+        { name: 'access', type: 'string', required: true, description: 'Role (moderator, sudo, owner) or plugin name' }
+      ]
+    },
+    revoke: {
+      params: [
+        { name: 'target', type: 'string', required: true, description: 'Number or @user' },
+        { name: 'plugin', type: 'string', description: 'Plugin grant to remove (omit to reset the role)' }
+      ]
+    },
+    roles: {},
+    bannotice: {
+      params: [{ name: 'state', type: 'enum', choices: ['on', 'off'], required: true }]
+    },
+    banblock: {
+      params: [{ name: 'state', type: 'enum', choices: ['on', 'off'], required: true }]
+    },
+    session: {
+      params: [{ name: 'action', type: 'enum', choices: ['id', 'status'], default: 'id' }]
+    },
+    backup: {},
+    stats: {}
+  },
 
-  async run({ msg, args, sock, db, prefix }) {
+  async run({ msg, params, sock, actor, db, prefix, services }) {
     const sender = msg.key.remoteJid;
-    
-    if (!isOwner(sender)) {
-      return await sock.sendMessage(sender, {
-        text: '❌ This command is only for the bot owner.'
-      });
-    }
+    const { settings } = services;
+    const updatedBy = actor.id;
 
-    const subCommand = args[0]?.toLowerCase();
-    const settingsCol = db.collection('settings');
-
-    switch (subCommand) {
+    switch (params.subcommand) {
       case 'plugins':
-        await handlePlugins(args[1], args[2], sock, sender, db);
+        await handlePlugins(params.action, params.plugin, sock, sender, db, prefix);
         break;
 
       case 'prefix':
-        if (!args[1]) {
-          return await sock.sendMessage(sender, {
-            text: `❌ Usage: ${prefix}owner prefix <new_prefix>`
-          });
-        }
-        await settingsCol.updateOne(
-          { key: 'prefix' },
-          { $set: { value: args[1] } },
-          { upsert: true }
-        );
-        await sock.sendMessage(sender, {
-          text: `✅ Prefix updated to: ${args[1]}`
-        });
+        await updateSetting(settings, 'prefix', params.prefix, updatedBy, sock, sender,
+          value => `✅ Prefix updated to: ${value}`);
         break;
 
       case 'setowner':
-        if (!args[1]) {
-          return await sock.sendMessage(sender, {
-            text: `❌ Usage: ${prefix}owner setowner <number>`
-          });
-        }
-        await settingsCol.updateOne(
-          { key: 'owner' },
-          { $set: { value: args[1] } },
-          { upsert: true }
-        );
-        await sock.sendMessage(sender, {
-          text: `✅ Owner number updated to: ${args[1]}`
-        });
+        await updateSetting(settings, 'owner', params.number, updatedBy, sock, sender,
+          value => `✅ Owner number updated to: ${value}`);
         break;
 
       case 'antilink':
-        const status = args[1]?.toLowerCase() === 'on';
-        await settingsCol.updateOne(
-          { key: 'antilink' },
-          { $set: { enabled: status } },
-          { upsert: true }
-        );
-        await sock.sendMessage(sender, {
-          text: `✅ Antilink ${status ? 'enabled' : 'disabled'}`
-        });
+        await updateSetting(settings, 'antilink', params.state, updatedBy, sock, sender,
+          value => `✅ Antilink ${value ? 'enabled' : 'disabled'}`);
         break;
 
       case 'welcome':
-        const welcomeStatus = args[1]?.toLowerCase() === 'on';
-        await settingsCol.updateOne(
-          { key: 'welcome' },
-          { $set: { enabled: welcomeStatus } },
-          { upsert: true }
-        );
-        await sock.sendMessage(sender, {
-          text: `✅ Welcome messages ${welcomeStatus ? 'enabled' : 'disabled'}`
-        });
+        await updateSetting(settings, 'welcome', params.state, updatedBy, sock, sender,
+          value => `✅ Welcome messages ${value ? 'enabled' : 'disabled'}`);
+        break;
+
+      case 'antidelete':
+        await updateSetting(settings, 'antidelete', params.target, updatedBy, sock, sender,
+          value => `✅ Anti-delete default: ${value}`);
+        break;
+
+      case 'edithistory':
+        await updateSetting(settings, 'editHistory', params.state, updatedBy, sock, sender,
+          value => `✅ Edit history ${value ? 'enabled' : 'disabled'} by default`);
+        break;
+
+      case 'settings':
+        await handleSettings(settings, sock, sender);
+        break;
+
+      case 'calls':
+        await handleCalls(params.policy, settings, services.calls, updatedBy, sock, sender);
+        break;
+
+      case 'callmsg':
+        await updateSetting(settings, 'callMessage', params.text, updatedBy, sock, sender,
+          value => `✅ Call message updated:\n${value}`);
+        break;
+
+      case 'callblock':
+        await updateSetting(settings, 'callBlockAfter', params.count, updatedBy, sock, sender,
+          value => `✅ Callers are blocked after ${value} calls`);
+        if (params.minutes !== undefined) {
+          await updateSetting(settings, 'callBlockWindow', params.minutes, updatedBy, sock, sender,
+            value => `✅ Calls are counted over ${value} minutes`);
+        }
+        break;
+
+      case 'ban':
+        await handleBan(params.target, params.details, msg, services.bans, updatedBy, sock, sender);
+        break;
+
+      case 'unban':
+        await handleUnban(params.target, msg, services.bans, sock, sender);
+        break;
+
+      case 'banlist':
+        await handleBanList(services.bans, sock, sender);
+        break;
+
+      case 'grant':
+        await handleGrant(params.target, params.access, msg, services, updatedBy, sock, sender);
+        break;
+
+      case 'revoke':
+        await handleRevoke(params.target, params.plugin, msg, services, updatedBy, sock, sender);
+        break;
+
+      case 'roles':
+        await handleRoles(services.roles, sock, sender);
+        break;
+
+      case 'bannotice':
+        await updateSetting(settings, 'banNotice', params.state, updatedBy, sock, sender,
+          value => `✅ Ban notices ${value ? 'enabled' : 'disabled'}`);
+        break;
+
+      case 'banblock':
+        await updateSetting(settings, 'banBlock', params.state, updatedBy, sock, sender,
+          value => `✅ Banned users ${value ? 'will' : 'will not'} be blocked on WhatsApp`);
+        break;
+
+      case 'session':
+        await handleSession(params.action, sock, sender, services);
         break;
 
       case 'backup':
@@ -103,20 +209,238 @@ export default {
 - ${prefix}owner setowner <number>
 - ${prefix}owner antilink <on/off>
 - ${prefix}owner welcome <on/off>
+- ${prefix}owner antidelete <off|owner|chat>
+- ${prefix}owner edithistory <on|off>
+- ${prefix}owner settings
+
+*Calls:*
+- ${prefix}owner calls <allow|reject|reject-message|block>
+- ${prefix}owner calls status | log
+- ${prefix}owner callmsg <text>
+- ${prefix}owner callblock <count> [minutes]
+
+*Bans:*
+- ${prefix}owner ban <number|@user|here> [30m|12h|7d] [reason]
+- ${prefix}owner unban <number|@user|here>
+- ${prefix}owner banlist
+- ${prefix}owner bannotice <on|off>
+- ${prefix}owner banblock <on|off>
+
+*Roles:*
+- ${prefix}owner grant <number|@user> <moderator|sudo|owner>
+- ${prefix}owner grant <number|@user> <plugin>
+- ${prefix}owner revoke <number|@user> [plugin]
+- ${prefix}owner roles
+
+*Session:*
+- ${prefix}owner session id
+- ${prefix}owner session status
 
 *System:*
 - ${prefix}owner backup
 - ${prefix}owner stats
 
-All settings are persistent across restarts.`
+Settings apply immediately and persist across restarts.`
         });
     }
   }
 };
 
-async function handlePlugins(action, pluginName, sock, sender, db) {
+async function updateSetting(settings, key, value, updatedBy, sock, sender, reply) {
+  try {
+    const applied = await settings.set(key, value, updatedBy);
+    await sock.sendMessage(sender, { text: reply(applied) });
+  } catch (error) {
+    if (!(error instanceof SettingError)) throw error;
+    await sock.sendMessage(sender, { text: `❌ ${error.message}` });
+  }
+}
+
+async function handleSettings(settings, sock, sender) {
+  const list = settings.list().map(({ key, type, value }) => {
+    const shown = type === 'boolean' ? (value ? '✅ On' : '❌ Off') : (value || '(not set)');
+    return `• ${key}: ${shown}`;
+  }).join('\n');
+
+  await sock.sendMessage(sender, {
+    text: `*⚙️ BOT SETTINGS*\n\n${list}`
+  });
+}
+
+async function handleCalls(policy, settings, calls, updatedBy, sock, sender) {
+  if (policy === 'log') {
+    const recent = calls ? await calls.getRecent(10) : [];
+    const list = recent.map(call =>
+      `• ${call.from.split('@')[0]} ${call.isVideo ? '📹' : '📞'} ${call.action}${call.blocked ? ' 🚫' : ''}\n  └ ${call.createdAt.toLocaleString()}`
+    ).join('\n');
+
+    return await sock.sendMessage(sender, {
+      text: `*📞 RECENT CALLS*\n\n${list || 'No calls logged yet.'}`
+    });
+  }
+
+  if (policy === 'status') {
+    return await sock.sendMessage(sender, {
+      text: `*📞 CALL POLICY*
+
+• Policy: ${settings.get('callPolicy')}
+• Block after: ${settings.get('callBlockAfter')} calls in ${settings.get('callBlockWindow')} min
+• Message: ${settings.get('callMessage')}`
+    });
+  }
+
+  await updateSetting(settings, 'callPolicy', policy, updatedBy, sock, sender,
+    value => `✅ Call policy set to: ${value}`);
+}
+
+function resolveTarget(target, msg) {
+  if (target.toLowerCase() === 'here') {
+    return isGroupJid(msg.key.remoteJid) ? msg.key.remoteJid : null;
+  }
+
+  const mentioned = msg.message?.extendedTextMessage?.contextInfo?.mentionedJid || [];
+  const user = target.replace(/^@/, '');
+  return mentioned.find(jid => jid.split('@')[0] === user) || toJid(user);
+}
+
+async function handleBan(target, details, msg, bans, bannedBy, sock, sender) {
+  if (!bans) {
+    return await sock.sendMessage(sender, { text: '❌ Ban list is not available.' });
+  }
+
+  const jid = resolveTarget(target, msg);
+  if (!jid) {
+    return await sock.sendMessage(sender, {
+      text: '❌ Give a phone number, @mention or group JID ("here" only works in groups)'
+    });
+  }
+
+  const [first = '', ...rest] = (details || '').split(/\s+/);
+  const duration = parseDuration(first);
+  const reason = (duration ? rest.join(' ') : details || '').trim() || null;
+
+  try {
+    const ban = await bans.ban(jid, { duration, reason, bannedBy }, sock);
+    await sock.sendMessage(sender, {
+      text: `🚫 Banned ${ban.type} ${jid.split('@')[0]}${duration ? ` for ${formatDuration(duration)}` : ' permanently'}${reason ? `\nReason: ${reason}` : ''}${ban.blocked ? '\nAlso blocked on WhatsApp.' : ''}`
+    });
+  } catch (error) {
+    if (!(error instanceof BanError)) throw error;
+    await sock.sendMessage(sender, { text: `❌ ${error.message}` });
+  }
+}
+
+async function handleUnban(target, msg, bans, sock, sender) {
+  if (!bans) {
+    return await sock.sendMessage(sender, { text: '❌ Ban list is not available.' });
+  }
+
+  const jid = resolveTarget(target, msg);
+
+  try {
+    const ban = jid ? await bans.unban(jid, sock) : null;
+    await sock.sendMessage(sender, {
+      text: ban ? `✅ Unbanned ${ban.type} ${jid.split('@')[0]}` : `ℹ️ ${target} is not banned`
+    });
+  } catch (error) {
+    if (!(error instanceof BanError)) throw error;
+    await sock.sendMessage(sender, { text: `❌ ${error.message}` });
+  }
+}
+
+async function handleBanList(bans, sock, sender) {
+  const list = (bans?.list() || []).map(ban => {
+    const until = ban.expiresAt ? `expires in ${formatDuration(ban.expiresAt - Date.now())}` : 'permanent';
+    return `• ${ban.type === 'group' ? '👥' : '👤'} ${ban.jid.split('@')[0]} (${until})${ban.reason ? `\n  └ ${ban.reason}` : ''}`;
+  }).join('\n');
+
+  await sock.sendMessage(sender, {
+    text: `*🚫 BANNED*\n\n${list || 'Nobody is banned.'}`
+  });
+}
+
+async function resolveUser(target, msg, roles, sock, sender) {
+  if (!roles) {
+    await sock.sendMessage(sender, { text: '❌ Roles are not available.' });
+    return null;
+  }
+
+  const jid = resolveTarget(target, msg);
+  if (!jid || isGroupJid(jid)) {
+    await sock.sendMessage(sender, { text: '❌ Give a phone number or @mention' });
+    return null;
+  }
+  return jid;
+}
+
+async function handleGrant(target, access, msg, services, grantedBy, sock, sender) {
+  const { roles, pluginManager } = services;
+  const jid = await resolveUser(target, msg, roles, sock, sender);
+  if (!jid) return;
+
+  const role = access.toLowerCase();
+  const plugin = PERMISSIONS.includes(role) ? null : pluginManager.findPlugin(role);
+
+  if (!PERMISSIONS.includes(role) && !plugin) {
+    return await sock.sendMessage(sender, {
+      text: `❌ "${access}" is neither a role (${PERMISSIONS.join(', ')}) nor a plugin`
+    });
+  }
+
+  try {
+    if (plugin) {
+      await roles.setGrant(jid, plugin.name, true, grantedBy);
+      await sock.sendMessage(sender, { text: `✅ ${jid.split('@')[0]} can now use ${plugin.name}` });
+    } else {
+      await roles.setRole(jid, role, grantedBy);
+      await sock.sendMessage(sender, { text: `✅ ${jid.split('@')[0]} is now ${role}` });
+    }
+  } catch (error) {
+    if (!(error instanceof RoleError)) throw error;
+    await sock.sendMessage(sender, { text: `❌ ${error.message}` });
+  }
+}
+
+async function handleRevoke(target, pluginName, msg, services, grantedBy, sock, sender) {
+  const { roles, pluginManager } = services;
+  const jid = await resolveUser(target, msg, roles, sock, sender);
+  if (!jid) return;
+
+  try {
+    if (pluginName) {
+      const name = pluginManager.findPlugin(pluginName.toLowerCase())?.name || pluginName;
+      await roles.setGrant(jid, name, false, grantedBy);
+      await sock.sendMessage(sender, { text: `✅ Removed ${name} grant from ${jid.split('@')[0]}` });
+    } else {
+      await roles.setRole(jid, 'user', grantedBy);
+      await sock.sendMessage(sender, { text: `✅ ${jid.split('@')[0]} is now a regular user` });
+    }
+  } catch (error) {
+    if (!(error instanceof RoleError)) throw error;
+    await sock.sendMessage(sender, { text: `❌ ${error.message}` });
+  }
+}
+
+async function handleRoles(roles, sock, sender) {
+  const list = (roles?.list() || []).map(entry => {
+    const grants = entry.grants?.length ? `\n  └ plugins: ${entry.grants.join(', ')}` : '';
+    return `• ${entry.jid.split('@')[0]} - ${entry.role}${entry.primary ? ' (primary)' : ''}${grants}`;
+  }).join('\n');
+
+  await sock.sendMessage(sender, {
+    text: `*🔑 ROLES*\n\n${list || 'No roles assigned.'}`
+  });
+}
+
+async function handlePlugins(action, pluginName, sock, sender, db, prefix) {
   const pluginsCol = db.collection('plugins');
 
+  if (action !== 'list' && !pluginName) {
+    return await sock.sendMessage(sender, {
+      text: `❌ Missing required argument "plugin"\n\n*Usage:*\n${prefix}owner plugins ${action} <plugin>`
+    });
+  }
+
   if (action === 'list') {
     const plugins = await pluginsCol.find({}).toArray();
     const list = plugins.map(p => 
@@ -126,7 +450,7 @@ async function handlePlugins(action, pluginName, sock, sender, db) {
     await sock.sendMessage(sender, {
       text: `*📦 INSTALLED PLUGINS*\n\n${list}`
     });
-  } else if (action === 'enable' && pluginName) {
+  } else if (action === 'enable') {
     await pluginsCol.updateOne(
       { name: pluginName },
       { $set: { enabled: true } },
@@ -135,7 +459,7 @@ async function handlePlugins(action, pluginName, sock, sender, db) {
     await sock.sendMessage(sender, {
       text: `✅ Plugin "${pluginName}" enabled`
     });
-  } else if (action === 'disable' && pluginName) {
+  } else if (action === 'disable') {
     await pluginsCol.updateOne(
       { name: pluginName },
       { $set: { enabled: false } },
@@ -147,6 +471,67 @@ async function handlePlugins(action, pluginName, sock, sender, db) {
   }
 }
 
+async function handleSession(action, sock, sender, services) {
+  const sessionManager = services?.sessionManager;
+
+  if (!sessionManager) {
+    return await sock.sendMessage(sender, {
+      text: '❌ Session manager is not available.'
+    });
+  }
+
+  if (action === 'status') {
+    const status = sessionManager.sync?.getStatus();
+
+    if (!status) {
+      return await sock.sendMessage(sender, {
+        text: '⚠️ Session sync is not configured.'
+      });
+    }
+
+    const conflict = status.conflict
+      ? `⚠️ Conflict: v${status.conflict.remoteVersion} written by ${status.conflict.remoteInstance}`
+      : '✅ No conflicts';
+
+    return await sock.sendMessage(sender, {
+      text: `*🔁 SESSION SYNC*
+
+• Auto sync: ${status.enabled ? '✅ Enabled' : '❌ Disabled'}
+• Version: v${status.version}
+• Instance: ${status.instanceId}
+• Pending upload: ${status.pending ? 'Yes' : 'No'}
+• Last sync: ${status.lastSyncAt ? status.lastSyncAt.toLocaleString() : 'Never'}
+• ${conflict}`
+    });
+  }
+
+  // A SESSION_ID is a full login, never post it into a group
+  if (sender.endsWith('@g.us')) {
+    return await sock.sendMessage(sender, {
+      text: '❌ Use this command in a private chat with the bot.'
+    });
+  }
+
+  try {
+    const sessionId = await sessionManager.createSessionId();
+
+    if (!sessionId) {
+      return await sock.sendMessage(sender, {
+        text: '❌ Could not create a SESSION_ID, check the logs.'
+      });
+    }
+
+    await sock.sendMessage(sender, {
+      text: `*🔐 FRESH SESSION_ID*\n\nKeep this private, it logs in as this bot.`
+    });
+    await sock.sendMessage(sender, { text: sessionId });
+  } catch (error) {
+    await sock.sendMessage(sender, {
+      text: `❌ Session export failed: ${error.message}`
+    });
+  }
+}
+
 async function handleBackup(sock, sender, db) {
   try {
     const collections = await db.listCollections().toArray();
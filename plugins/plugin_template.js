@@ -13,8 +13,16 @@ export default {
   // Optional: Plugin category (affects menu grouping)
   category: 'general', // general, owner, admin, utility, fun, media, etc.
   
-  // Optional: Command usage format
+  // Optional: Command usage format (free text, used when no params are declared)
   usage: '[option] <required>',
+
+  // Optional: Typed arguments, parsed and validated before run()
+  // Types: string, number, enum, mention, jid, rest
+  // Usage shown in menu/help is generated from this schema.
+  // Plugins with subcommands declare `subcommands: { name: { params: [...] } }` instead.
+  params: [
+    { name: 'text', type: 'rest', required: true, description: 'Text to echo back' }
+  ],
   
   // Optional: Example usage
   example: 'example hello world',
@@ -22,8 +30,10 @@ export default {
   // Optional: Plugin version
   version: '1.0.0',
   
-  // Optional: Restrict to owner only
-  ownerOnly: false,
+  // Optional: Minimum role: 'user' (default), 'moderator', 'sudo' or 'owner'.
+  // Owners can also grant single users access with .owner grant <user> <plugin>.
+  // (ownerOnly: true still works and means permission: 'owner')
+  permission: 'user',
   
   // Optional: Restrict to admins only (for group commands)
   adminOnly: false,
@@ -34,33 +44,49 @@ export default {
   // Optional: Works only in private chats
   privateOnly: false,
 
+  // Optional: Max run time in ms (default 30000). When it passes, context.signal
+  // aborts and the provided sock/db refuse further calls.
+  timeout: 30000,
+
+  // Optional: Bot must be a group admin (e.g. to kick or delete messages)
+  botAdminRequired: false,
+
+  // Optional: Cooldown in seconds (or '30s', '5m') per user, per chat and/or
+  // globally. A number is per user. Sudo users and owners are not limited.
+  // cooldown: { user: 10, chat: 3, global: 1 },
+
+  // Optional: Override rejection messages for this plugin
+  // Keys: disabled, ownerOnly, permission, adminOnly, groupOnly, privateOnly, botAdminRequired,
+  // cooldown ({remaining} is replaced with the time left)
+  // messages: { adminOnly: '🚫 Only admins can use this.' },
+
   /**
    * Main plugin execution function
    * @param {Object} context - Execution context
    * @param {Object} context.msg - WhatsApp message object
    * @param {Array} context.args - Command arguments (split by space)
+   * @param {Object} context.params - Arguments parsed from `params` / `subcommands`
    * @param {Object} context.sock - WhatsApp socket (for sending messages)
    * @param {Object} context.db - MongoDB database instance
+   * @param {Object} context.actor - Who sent it: { chat, isGroup, participant, pn, lid, id }
    * @param {String} context.prefix - Current command prefix
+   * @param {Object} context.chatConfig - Effective settings of this chat
+   * @param {Object} context.services - Core services (sessionManager, pluginManager, settings, groupConfig, messageStore, ...)
+   * @param {AbortSignal} context.signal - Aborts on timeout, shutdown or .cancel
+   * @param {String} context.jobId - Id of this run (for .cancel)
    */
-  async run({ msg, args, sock, db, prefix }) {
-    const sender = msg.key.remoteJid; // Who sent the message
-    const isGroup = sender.endsWith('@g.us'); // Is it a group?
+  async run({ msg, args, params, sock, db, actor, prefix, chatConfig, services, signal, jobId }) {
+    const sender = msg.key.remoteJid; // Chat to reply in (group or private chat)
+    const isGroup = actor.isGroup; // Is it a group?
     
     try {
       // Extract message info
       const quotedMsg = msg.message?.extendedTextMessage?.contextInfo?.quotedMessage;
       const mentionedJids = msg.message?.extendedTextMessage?.contextInfo?.mentionedJid || [];
       
-      // Example: Simple text response
-      if (args.length === 0) {
-        return await sock.sendMessage(sender, {
-          text: `✅ Hello! This is an example plugin.\n\nUsage: ${prefix}${this.name} <text>`
-        });
-      }
-      
-      // Example: Echo back the arguments
-      const text = args.join(' ');
+      // Example: Echo back the parsed argument
+      // (missing "text" is rejected with a usage error before run() is called)
+      const { text } = params;
       await sock.sendMessage(sender, {
         text: `You said: ${text}`
       });
@@ -68,7 +94,7 @@ export default {
       // Example: Database operations
       const collection = db.collection('example_data');
       await collection.insertOne({
-        sender,
+        user: actor.id, // Phone JID when known, so the same person always gets the same key
         text,
         timestamp: new Date()
       });
@@ -113,6 +139,23 @@ export default {
         text: `❌ An error occurred: ${error.message}`
       });
     }
+  },
+
+  /**
+   * Optional: Handlers for non-command events. Supported: message,
+   * group-participants.update, groups.update, call, messages.reaction,
+   * messages.update, connection.open, connection.close
+   */
+  // events: {
+  //   async message({ msg, text, chatId, sock }) {},
+  //   async 'group-participants.update'({ data, chatId, sock }) {}
+  // },
+
+  /**
+   * Optional: Called before this plugin is replaced or removed by a reload.
+   * Clear intervals, listeners or caches created by the plugin here.
+   */
+  async onUnload() {
   }
 };
 
@@ -232,14 +275,23 @@ const count = await db.collection('users').countDocuments();
 
 12. CHECK PERMISSIONS:
 ---------------------
-// Check if owner
-const isOwner = sender.includes(process.env.OWNER_NUMBER);
+// actor.id is the sender's phone JID (or their LID when the number is unknown).
+// In groups msg.key.remoteJid is the group, never use it as the user.
+
+// Check if owner (exact match on phone JID or LID)
+const isOwner = services.pluginManager.isOwner(actor.id);
+
+// Role: banned, user, moderator, sudo or owner
+const role = services.pluginManager.getRole(actor.id);
+const isSudo = ['sudo', 'owner'].includes(role);
+
+// Read any runtime setting
+const antilinkOn = services.settings.get('antilink');
 
 // Check if group admin (in groups)
 if (isGroup) {
   const groupMetadata = await sock.groupMetadata(sender);
-  const participant = groupMetadata.participants.find(p => p.id === msg.key.participant);
-  const isAdmin = participant?.admin === 'admin' || participant?.admin === 'superadmin';
+  const isAdmin = services.pluginManager.isGroupAdmin(groupMetadata, actor.participant);
 }
 
 
@@ -303,22 +355,13 @@ try {
 }
 
 
-19. RATE LIMITING (per user):
------------------------------
-const userKey = `ratelimit_${sender}`;
-const lastUsed = await db.collection('ratelimits').findOne({ key: userKey });
-
-if (lastUsed && (Date.now() - lastUsed.timestamp < 5000)) {
-  return await sock.sendMessage(sender, {
-    text: '⚠️ Please wait before using this command again.'
-  });
-}
-
-await db.collection('ratelimits').updateOne(
-  { key: userKey },
-  { $set: { timestamp: Date.now() } },
-  { upsert: true }
-);
+19. COOLDOWNS:
+--------------
+// Declare them on the plugin; the dispatcher enforces them and replies with
+// the time left, so run() never sees a call that is still cooling down.
+cooldown: 5,                          // 5s per user
+cooldown: { user: '1m', chat: 10 },   // 1 minute per user and 10s per chat
+cooldown: { global: 2 },              // at most one run every 2s for everyone
 
 
 20. PAGINATION:
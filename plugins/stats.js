@@ -3,6 +3,8 @@ export default {
   description: 'Display bot statistics',
   aliases: ['statistics', 'info'],
   category: 'general',
+  // Counts whole collections, so don't let a chat spam it
+  cooldown: { chat: 30 },
 
   async run({ msg, sock, db }) {
     const sender = msg.key.remoteJid;
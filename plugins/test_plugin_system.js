@@ -5,6 +5,9 @@ import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
+import { validateSchema } from '../src/utils/argParser.js';
+import { PERMISSIONS } from '../src/core/RoleManager.js';
+import { normalizeCooldown } from '../src/utils/cooldowns.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const PLUGINS_DIR = path.join(__dirname, 'plugins');
@@ -145,6 +148,22 @@ function validatePlugin(filename, plugin) {
     errors.push('Invalid "ownerOnly" property (must be boolean)');
   }
 
+  if (plugin.permission !== undefined && !PERMISSIONS.includes(plugin.permission)) {
+    errors.push(`Invalid "permission" property (must be one of: ${PERMISSIONS.join(', ')})`);
+  }
+
+  try {
+    normalizeCooldown(plugin.cooldown);
+  } catch (error) {
+    errors.push(`Invalid "cooldown" property: ${error.message}`);
+  }
+
+  try {
+    validateSchema(plugin);
+  } catch (error) {
+    errors.push(`Invalid argument schema: ${error.message}`);
+  }
+
   // Check run function signature
   if (plugin.run) {
     const runStr = plugin.run.toString();
@@ -0,0 +1,102 @@
+import { SettingError } from '../src/core/SettingsManager.js';
+import { DEFAULT_TEMPLATES } from '../src/core/WelcomeManager.js';
+
+const TYPES = Object.keys(DEFAULT_TEMPLATES);
+
+export default {
+  name: 'welcome',
+  description: 'Manage welcome, goodbye, promote and demote messages',
+  aliases: ['greet'],
+  category: 'group',
+  groupOnly: true,
+  adminOnly: true,
+  subcommands: {
+    on: {},
+    off: {},
+    set: {
+      params: [
+        { name: 'type', type: 'enum', choices: TYPES, required: true },
+        { name: 'text', type: 'rest', required: true, description: 'Template with {user} {group} {count} {desc} {author}' }
+      ]
+    },
+    preview: {
+      params: [{ name: 'type', type: 'enum', choices: TYPES, default: 'welcome' }]
+    },
+    reset: {
+      params: [{ name: 'type', type: 'enum', choices: TYPES, required: true }]
+    },
+    picture: {
+      params: [{ name: 'state', type: 'enum', choices: ['on', 'off'], required: true }]
+    }
+  },
+  example: 'welcome set welcome Hi {user}, welcome to {group}!',
+
+  async run({ msg, params, sock, actor, prefix, services }) {
+    const chatId = msg.key.remoteJid;
+    const { groupConfig, welcome, pluginManager } = services;
+    const updatedBy = actor.id;
+    const reply = (text) => sock.sendMessage(chatId, { text });
+
+    if (!groupConfig || !welcome) {
+      return await reply('❌ Welcome messages are not available.');
+    }
+
+    try {
+      switch (params.subcommand) {
+        case 'on':
+        case 'off': {
+          const enabled = await groupConfig.set(chatId, 'welcome', params.subcommand, updatedBy);
+          return await reply(`✅ Membership messages ${enabled ? 'enabled' : 'disabled'} for this group`);
+        }
+
+        case 'set': {
+          await groupConfig.set(chatId, `${params.type}Message`, params.text, updatedBy);
+          return await reply(`✅ ${params.type} message updated. Try ${prefix}welcome preview ${params.type}`);
+        }
+
+        case 'preview': {
+          const chatConfig = await groupConfig.resolve(chatId);
+          const metadata = await pluginManager.getGroupMetadata(sock, chatId);
+          if (!metadata) {
+            return await reply('❌ Could not load group info.');
+          }
+
+          const message = await welcome.buildMessage(sock, chatConfig, params.type, {
+            user: updatedBy,
+            author: updatedBy,
+            metadata
+          });
+
+          await sock.sendMessage(chatId, message);
+          if (!chatConfig.welcome) {
+            await reply(`ℹ️ Membership messages are off here. Turn them on with ${prefix}welcome on`);
+          }
+          return;
+        }
+
+        case 'reset':
+          await groupConfig.unset(chatId, `${params.type}Message`, updatedBy);
+          return await reply(`✅ ${params.type} message reset to the default`);
+
+        case 'picture': {
+          const enabled = await groupConfig.set(chatId, 'welcomePicture', params.state, updatedBy);
+          return await reply(`✅ Group picture ${enabled ? 'attached to' : 'removed from'} welcome/goodbye messages`);
+        }
+
+        default:
+          return await reply(`*👋 WELCOME MESSAGES*
+
+- ${prefix}welcome on | off
+- ${prefix}welcome set <${TYPES.join('|')}> <text>
+- ${prefix}welcome preview [type]
+- ${prefix}welcome reset <type>
+- ${prefix}welcome picture <on|off>
+
+*Placeholders:* {user} {group} {count} {desc} {author}`);
+      }
+    } catch (error) {
+      if (!(error instanceof SettingError)) throw error;
+      await reply(`❌ ${error.message}`);
+    }
+  }
+};
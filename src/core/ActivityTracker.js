@@ -0,0 +1,235 @@
+import chalk from 'chalk';
+import { isGroupJid } from '../utils/helpers.js';
+import { ensureTtlIndex } from '../utils/ttlIndex.js';
+
+const DEFAULT_FLUSH_INTERVAL = 5000;
+const DEFAULT_BATCH_SIZE = 500;
+const DEFAULT_TTL_DAYS = 90;
+
+// Message records kept while the database is down, in batches
+const MAX_PENDING_BATCHES = 10;
+
+// Message types that only carry protocol data
+const IGNORED_TYPES = ['messageContextInfo', 'senderKeyDistributionMessage'];
+
+/**
+ * Positions of the operations that failed in an unordered bulk write
+ * (all of them when the error doesn't say)
+ */
+function failedIndexes(error, count) {
+  const writeErrors = [].concat(error.writeErrors || []);
+  if (writeErrors.length === 0) {
+    return Array.from({ length: count }, (_, i) => i);
+  }
+  return writeErrors.map(writeError => writeError.index);
+}
+
+/**
+ * User registry (`users`) and message metadata (`messages`).
+ * Updates are buffered in memory and written in bulk every few seconds,
+ * so the message pipeline never waits on Mongo.
+ */
+export class ActivityTracker {
+  constructor(mongoManager, options = {}) {
+    this.mongoManager = mongoManager;
+    this.flushInterval = options.flushInterval || DEFAULT_FLUSH_INTERVAL;
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    this.ttlDays = options.ttlDays || DEFAULT_TTL_DAYS;
+    this.storeContent = Boolean(options.storeContent);
+
+    this.users = new Map();
+    this.messages = [];
+    this.timer = null;
+    this.flushing = Promise.resolve();
+  }
+
+  /**
+   * Create indexes and start the flush timer
+   */
+  async initialize() {
+    const db = this.mongoManager.getDB();
+    const users = db.collection('users');
+    const messages = db.collection('messages');
+
+    await users.createIndex({ jid: 1 }, { unique: true });
+    await users.createIndex({ lastSeen: -1 });
+    await messages.createIndex({ chatId: 1, timestamp: -1 });
+    await messages.createIndex({ sender: 1, timestamp: -1 });
+
+    await ensureTtlIndex(db, 'messages', 'timestamp', this.ttlDays * 86400);
+
+    this.timer = setInterval(() => this.flush(), this.flushInterval);
+    this.timer.unref();
+
+    console.log(chalk.green(`✅ Activity tracking ready (flush ${this.flushInterval}ms, TTL ${this.ttlDays}d)`));
+  }
+
+  /**
+   * Buffer a user update
+   */
+  touchUser(jid, changes) {
+    const entry = this.users.get(jid) || { messages: 0, commands: 0, pushName: null, lid: null, lastSeen: null };
+
+    entry.messages += changes.messages || 0;
+    entry.commands += changes.commands || 0;
+    if (changes.pushName) entry.pushName = changes.pushName;
+    if (changes.lid) entry.lid = changes.lid;
+    entry.lastSeen = changes.lastSeen || entry.lastSeen || new Date();
+
+    this.users.set(jid, entry);
+  }
+
+  /**
+   * Record an incoming message (users are keyed by the actor's phone JID when known)
+   */
+  trackMessage(msg, text = '', actor = null) {
+    if (!msg.message || msg.message.protocolMessage) return;
+
+    const chatId = msg.key.remoteJid;
+    const sender = actor?.id || msg.key.participant || chatId;
+    const timestamp = new Date((Number(msg.messageTimestamp) || Date.now() / 1000) * 1000);
+    const type = Object.keys(msg.message || {}).find(key => !IGNORED_TYPES.includes(key)) || 'unknown';
+
+    this.touchUser(sender, { messages: 1, pushName: msg.pushName, lid: actor?.lid, lastSeen: timestamp });
+
+    const record = {
+      messageId: msg.key.id,
+      chatId,
+      sender,
+      isGroup: isGroupJid(chatId),
+      type,
+      length: text.length,
+      timestamp
+    };
+    if (this.storeContent && text) record.text = text;
+
+    this.messages.push(record);
+
+    // Writes keep failing: drop the oldest record and leave retries to the timer
+    if (this.messages.length > this.batchSize * MAX_PENDING_BATCHES) {
+      this.messages.shift();
+      return;
+    }
+
+    if (this.messages.length % this.batchSize === 0) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Count a command run by a user
+   */
+  trackCommand(jid) {
+    this.touchUser(jid, { commands: 1 });
+  }
+
+  /**
+   * Write buffered updates. Calls are chained so batches never overlap.
+   */
+  flush() {
+    this.flushing = this.flushing
+      .then(() => this.writeBatch())
+      .catch(error => console.error(chalk.red('❌ Activity flush failed:'), error.message));
+    return this.flushing;
+  }
+
+  /**
+   * Write one batch of users and messages
+   */
+  async writeBatch() {
+    if (this.users.size === 0 && this.messages.length === 0) return;
+
+    // Keep the buffers for the next flush while the database is unavailable;
+    // writes that fail below are put back the same way
+    let db;
+    try {
+      db = this.mongoManager.getDB();
+    } catch (error) {
+      console.warn(chalk.yellow('⚠️ Activity flush skipped, database unavailable:'), error.message);
+      return;
+    }
+
+    const users = this.users;
+    const messages = this.messages;
+    this.users = new Map();
+    this.messages = [];
+
+    if (users.size > 0) {
+      const ops = Array.from(users, ([jid, entry]) => ({
+        updateOne: {
+          filter: { jid },
+          update: {
+            $setOnInsert: { jid, firstSeen: entry.lastSeen },
+            $set: {
+              lastSeen: entry.lastSeen,
+              ...(entry.pushName && { pushName: entry.pushName }),
+              ...(entry.lid && entry.lid !== jid && { lid: entry.lid })
+            },
+            $inc: { messageCount: entry.messages, commandCount: entry.commands }
+          },
+          upsert: true
+        }
+      }));
+
+      try {
+        await db.collection('users').bulkWrite(ops, { ordered: false });
+      } catch (error) {
+        const entries = Array.from(users);
+        const failed = failedIndexes(error, entries.length).map(i => entries[i]);
+        console.error(chalk.red(`❌ Failed to write ${failed.length} user updates, retrying next flush:`), error.message);
+        this.requeueUsers(failed);
+      }
+    }
+
+    if (messages.length > 0) {
+      try {
+        await db.collection('messages').insertMany(messages, { ordered: false });
+      } catch (error) {
+        const failed = failedIndexes(error, messages.length).map(i => messages[i]);
+        console.error(chalk.red(`❌ Failed to write ${failed.length} message records, retrying next flush:`), error.message);
+        this.requeueMessages(failed);
+      }
+    }
+  }
+
+  /**
+   * Merge failed user updates back under anything buffered since
+   */
+  requeueUsers(entries) {
+    for (const [jid, entry] of entries) {
+      const newer = this.users.get(jid);
+      if (!newer) {
+        this.users.set(jid, entry);
+        continue;
+      }
+
+      newer.messages += entry.messages;
+      newer.commands += entry.commands;
+      newer.pushName ||= entry.pushName;
+      newer.lid ||= entry.lid;
+    }
+  }
+
+  /**
+   * Put failed message records back in front, within the pending cap
+   */
+  requeueMessages(records) {
+    this.messages = [...records, ...this.messages].slice(-this.batchSize * MAX_PENDING_BATCHES);
+  }
+
+  /**
+   * Pending buffer sizes
+   */
+  getStats() {
+    return { pendingUsers: this.users.size, pendingMessages: this.messages.length };
+  }
+
+  /**
+   * Stop the timer and write what is left
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.flush();
+  }
+}
@@ -0,0 +1,178 @@
+import chalk from 'chalk';
+import { isGroupJid } from '../utils/helpers.js';
+import { ensureTtlIndex } from '../utils/ttlIndex.js';
+
+// proto.Message.ProtocolMessage.Type
+const REVOKE = 0;
+const MESSAGE_EDIT = 14;
+
+const DEFAULT_EDIT_TTL_DAYS = 30;
+
+/**
+ * Check a protocol message type (numeric or enum name)
+ */
+function isType(protocolMessage, code, name) {
+  return protocolMessage.type === code || protocolMessage.type === name;
+}
+
+/**
+ * Per-chat anti-delete and edit history.
+ * Runs as a message filter: revokes resend the original from the message
+ * store, edits are appended to `message_edits` (TTL-expired).
+ */
+export class AntiDeleteManager {
+  constructor(mongoManager, pluginManager, messageStore, options = {}) {
+    this.mongoManager = mongoManager;
+    this.pluginManager = pluginManager;
+    this.messageStore = messageStore;
+    this.editTtlDays = options.editTtlDays || DEFAULT_EDIT_TTL_DAYS;
+    this.name = 'antidelete';
+  }
+
+  /**
+   * Create indexes, updating the TTL if it changed
+   */
+  async initialize() {
+    await this.collection().createIndex({ remoteJid: 1, messageId: 1, version: 1 }, { unique: true });
+    await ensureTtlIndex(this.mongoManager.getDB(), 'message_edits', 'createdAt', this.editTtlDays * 86400);
+  }
+
+  /**
+   * Edit history collection
+   */
+  collection() {
+    return this.mongoManager.getDB().collection('message_edits');
+  }
+
+  /**
+   * Message filter: consume revokes and edits
+   */
+  async handle({ msg, sock, chatConfig, actor = this.pluginManager.resolveActor(msg) }) {
+    const protocolMessage = msg.message?.protocolMessage;
+    if (!protocolMessage?.key || !chatConfig) return false;
+
+    if (isType(protocolMessage, REVOKE, 'REVOKE')) {
+      if (chatConfig.antidelete !== 'off') {
+        await this.handleRevoke(msg, protocolMessage.key, chatConfig.antidelete, sock, actor);
+      }
+      return true;
+    }
+
+    if (isType(protocolMessage, MESSAGE_EDIT, 'MESSAGE_EDIT')) {
+      if (chatConfig.editHistory) {
+        await this.recordEdit(msg, protocolMessage);
+      }
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Resend a message its author deleted to the owner or back to the chat.
+   * `revoker` is the actor of the revoke, not of the deleted message.
+   */
+  async handleRevoke(msg, deletedKey, target, sock, revoker) {
+    // Deletes by the bot (anti-link, plugins) are moderation, not reported
+    if (msg.key.fromMe) return;
+
+    const chatId = msg.key.remoteJid;
+    const original = await this.messageStore.loadMessage(chatId, deletedKey.id);
+
+    if (!original) {
+      console.log(chalk.gray(`ℹ️ Deleted message ${deletedKey.id} in ${chatId} is not in the store`));
+      return;
+    }
+
+    const author = original.key.participant || deletedKey.participant || chatId;
+
+    // A group admin removing someone else's message is moderation too
+    const authorIds = this.actorIds(this.pluginManager.resolveActor(original));
+    if (original.key.fromMe || !this.actorIds(revoker).some(id => authorIds.includes(id))) {
+      console.log(chalk.gray(`ℹ️ Message ${deletedKey.id} in ${chatId} was removed by someone else, not resent`));
+      return;
+    }
+    const destination = target === 'owner' ? this.getOwnerJid() : chatId;
+    if (!destination) return;
+
+    const where = isGroupJid(chatId) && target === 'owner' ? ` in ${chatId}` : '';
+    const sentAt = new Date(original.messageTimestamp * 1000).toLocaleString();
+
+    try {
+      await sock.sendMessage(destination, {
+        text: `🗑️ @${author.split('@')[0]} deleted a message${where} (sent ${sentAt}):`,
+        mentions: [author]
+      });
+      await sock.sendMessage(destination, { forward: original });
+      console.log(chalk.yellow(`🗑️ Resent deleted message ${deletedKey.id} from ${author} to ${destination}`));
+    } catch (error) {
+      console.warn(chalk.yellow('⚠️ Anti-delete resend failed:'), error.message);
+    }
+  }
+
+  /**
+   * Every known JID of an actor
+   */
+  actorIds(actor) {
+    return [actor.participant, actor.pn, actor.lid].filter(Boolean);
+  }
+
+  /**
+   * Owner JID from the live settings
+   */
+  getOwnerJid() {
+    const owner = this.pluginManager.settings?.get('owner');
+    return owner ? `${owner}@s.whatsapp.net` : null;
+  }
+
+  /**
+   * Append an edit to the history, recording the original first
+   */
+  async recordEdit(msg, protocolMessage) {
+    const remoteJid = msg.key.remoteJid;
+    const messageId = protocolMessage.key.id;
+    const text = this.pluginManager.extractMessageText({ message: protocolMessage.editedMessage });
+
+    try {
+      const collection = this.collection();
+      const latest = await collection.find({ remoteJid, messageId }).sort({ version: -1 }).limit(1).next();
+      const version = latest ? latest.version + 1 : 1;
+
+      // Version 0 is the original text, when the store still has it
+      if (!latest) {
+        const original = await this.messageStore.loadMessage(remoteJid, messageId);
+        if (original) {
+          await collection.insertOne({
+            remoteJid,
+            messageId,
+            version: 0,
+            text: this.pluginManager.extractMessageText(original),
+            editedAt: new Date(original.messageTimestamp * 1000),
+            createdAt: new Date()
+          });
+        }
+      }
+
+      await collection.insertOne({
+        remoteJid,
+        messageId,
+        version,
+        text,
+        editedAt: new Date(Number(msg.messageTimestamp) * 1000 || Date.now()),
+        createdAt: new Date()
+      });
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to record edit:'), error.message);
+    }
+  }
+
+  /**
+   * All known versions of a message, oldest first
+   */
+  async getEditHistory(remoteJid, messageId) {
+    return await this.collection()
+      .find({ remoteJid, messageId })
+      .sort({ version: 1 })
+      .toArray();
+  }
+}
@@ -0,0 +1,164 @@
+import chalk from 'chalk';
+import { isGroupJid, normalizeJid } from '../utils/helpers.js';
+
+const INVITE_PATTERN = /(?:https?:\/\/)?chat\.whatsapp\.com\/(?:invite\/)?[A-Za-z0-9]{10,}/gi;
+const CHANNEL_PATTERN = /(?:https?:\/\/)?(?:www\.)?whatsapp\.com\/channel\/[A-Za-z0-9]{10,}/gi;
+// Scheme or www links, plus bare domains on common TLDs (avoids "file.js" style hits)
+const URL_PATTERN = /\b(?:https?:\/\/[^\s<>]+|www\.[^\s<>]+|[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|co|me|info|biz|xyz|ly|gg|app|dev|link|site|online|shop|tk|ml|ga|cf|gq|ru|in|ng|uk|us)(?:\/[^\s<>]*)?)/gi;
+
+/**
+ * Hostname of a matched link, without www.
+ */
+function hostOf(link) {
+  return link
+    .replace(/^https?:\/\//i, '')
+    .replace(/^www\./i, '')
+    .split(/[/?#:]/)[0]
+    .toLowerCase();
+}
+
+/**
+ * Find links in text. Invites (groups and channels) are reported separately
+ * from other URLs; allowlisted domains and their subdomains are skipped.
+ */
+export function findLinks(text, allow = []) {
+  const invites = [...(text.match(INVITE_PATTERN) || []), ...(text.match(CHANNEL_PATTERN) || [])];
+
+  const urls = (text.match(URL_PATTERN) || []).filter(link => {
+    if (invites.some(invite => invite.includes(link) || link.includes(invite))) return false;
+    const host = hostOf(link);
+    return !allow.some(domain => host === domain || host.endsWith(`.${domain}`));
+  });
+
+  return { invites, urls };
+}
+
+/**
+ * Message filter that removes links from groups with anti-link enabled.
+ * Runs before command dispatch; returns true when the message was handled.
+ */
+export class AntiLinkFilter {
+  constructor(mongoManager, pluginManager) {
+    this.mongoManager = mongoManager;
+    this.pluginManager = pluginManager;
+    this.name = 'antilink';
+  }
+
+  /**
+   * Create audit indexes
+   */
+  async initialize() {
+    await this.collection().createIndex({ chatId: 1, createdAt: -1 });
+    await this.collection().createIndex({ chatId: 1, participant: 1 });
+  }
+
+  /**
+   * Audit collection
+   */
+  collection() {
+    return this.mongoManager.getDB().collection('antilink_audit');
+  }
+
+  /**
+   * Inspect a message, delete it and apply the group's action if it has links
+   */
+  async handle({ msg, sock, text, chatConfig, actor = this.pluginManager.resolveActor(msg) }) {
+    const chatId = msg.key.remoteJid;
+    if (!isGroupJid(chatId) || !chatConfig?.antilink || !text) return false;
+
+    const { invites, urls } = findLinks(text, chatConfig.antilinkAllow);
+    const links = chatConfig.antilinkMode === 'all' ? [...invites, ...urls] : invites;
+    if (links.length === 0) return false;
+
+    const pm = this.pluginManager;
+    const ids = [actor.participant, actor.pn, actor.lid].filter(Boolean);
+
+    // Admins and the owner may post links
+    if (pm.isOwner(actor.id)) return false;
+
+    const metadata = await pm.getGroupMetadata(sock, chatId);
+    if (!metadata) return false;
+    if (ids.some(id => pm.isGroupAdmin(metadata, id))) return false;
+
+    // Kick and mention the sender the way the group lists them (phone JID or LID)
+    const member = metadata.participants?.find(p =>
+      [p.id, p.jid, p.lid].filter(Boolean).some(id => ids.includes(normalizeJid(id)))
+    );
+    const participant = member?.id || actor.participant;
+
+    const botIds = [sock.user?.id, sock.user?.lid].filter(Boolean);
+    const botIsAdmin = botIds.some(id => pm.isGroupAdmin(metadata, id));
+
+    const performed = [];
+    let action = chatConfig.antilinkAction;
+
+    if (botIsAdmin) {
+      try {
+        await sock.sendMessage(chatId, { delete: msg.key }, { priority: 'high' });
+        performed.push('delete');
+      } catch (error) {
+        console.warn(chalk.yellow(`⚠️ Anti-link delete failed in ${chatId}:`), error.message);
+      }
+    }
+
+    if (action === 'kick') {
+      if (botIsAdmin) {
+        try {
+          await sock.groupParticipantsUpdate(chatId, [participant], 'remove');
+          performed.push('kick');
+        } catch (error) {
+          console.warn(chalk.yellow(`⚠️ Anti-link kick failed in ${chatId}:`), error.message);
+          action = 'warn';
+        }
+      } else {
+        // Can't kick without admin rights, fall back to a warning
+        action = 'warn';
+      }
+    }
+
+    if (action === 'warn') {
+      const user = participant.split('@')[0];
+      await sock.sendMessage(chatId, {
+        text: `⚠️ @${user}, links are not allowed in this group.`,
+        mentions: [participant]
+      });
+      performed.push('warn');
+    }
+
+    await this.record({
+      chatId,
+      participant,
+      messageId: msg.key.id,
+      links,
+      kind: invites.length > 0 ? 'invite' : 'url',
+      action: chatConfig.antilinkAction,
+      performed,
+      botIsAdmin
+    });
+
+    console.log(chalk.yellow(`🔗 Anti-link: ${participant} in ${chatId} → ${performed.join(', ') || 'logged'}`));
+    return true;
+  }
+
+  /**
+   * Write an audit entry
+   */
+  async record(entry) {
+    try {
+      await this.collection().insertOne({ ...entry, createdAt: new Date() });
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to write anti-link audit:'), error.message);
+    }
+  }
+
+  /**
+   * Latest audit entries for a chat
+   */
+  async getAudit(chatId, limit = 10) {
+    return await this.collection()
+      .find({ chatId })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .toArray();
+  }
+}
@@ -0,0 +1,218 @@
+import chalk from 'chalk';
+import { isGroupJid, normalizeJid, formatDuration } from '../utils/helpers.js';
+
+const SWEEP_INTERVAL = 60000;
+
+/**
+ * Thrown when a ban can't be placed or lifted
+ */
+export class BanError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BanError';
+  }
+}
+
+/**
+ * Banned users and groups, stored in `bans` and cached in memory.
+ * Banned users are ignored entirely; a banned group is ignored for everyone
+ * except the owner. Expired bans are lifted by a periodic sweep, which also
+ * undoes the WhatsApp block when the ban created one.
+ */
+export class BanManager {
+  constructor(mongoManager, pluginManager, settings, options = {}) {
+    this.mongoManager = mongoManager;
+    this.pluginManager = pluginManager;
+    this.settings = settings;
+    this.getSocket = options.getSocket || (() => null);
+    this.bans = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Create indexes, load active bans and start the expiry sweep
+   */
+  async initialize() {
+    const collection = this.collection();
+    await collection.createIndex({ jid: 1 }, { unique: true });
+
+    for (const ban of await collection.find({}).toArray()) {
+      this.bans.set(ban.jid, ban);
+    }
+
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => console.error(chalk.red('❌ Ban sweep failed:'), error.message));
+    }, SWEEP_INTERVAL);
+    this.timer.unref();
+
+    await this.sweep();
+    console.log(chalk.green(`✅ Ban list ready (${this.bans.size} active)`));
+  }
+
+  /**
+   * Bans collection
+   */
+  collection() {
+    return this.mongoManager.getDB().collection('bans');
+  }
+
+  /**
+   * Active ban for a user or group JID, or null
+   */
+  getBan(jid) {
+    const ban = this.bans.get(normalizeJid(jid));
+    if (!ban) return null;
+    if (ban.expiresAt && ban.expiresAt <= new Date()) return null;
+    return ban;
+  }
+
+  /**
+   * Called first thing for every incoming message.
+   * Returns true when the message must be ignored.
+   */
+  async intercept(msg, sock, actor = this.pluginManager.resolveActor(msg)) {
+    if (this.bans.size === 0) return false;
+
+    const chatId = msg.key.remoteJid;
+
+    // A ban on either the phone number or the LID applies
+    const userBan = [actor.pn, actor.lid, actor.participant].map(jid => jid && this.getBan(jid)).find(Boolean);
+    const groupBan = isGroupJid(chatId) ? this.getBan(chatId) : null;
+    const ban = userBan || groupBan;
+    if (!ban) return false;
+
+    // The owner can still talk in a banned group, e.g. to lift the ban
+    if (!userBan && this.pluginManager.isOwner(actor.id)) return false;
+
+    if (this.settings.get('banNotice') && !ban.notified) {
+      await this.sendNotice(sock, chatId, ban);
+    }
+
+    return true;
+  }
+
+  /**
+   * Tell a banned user or group once why the bot ignores them
+   */
+  async sendNotice(sock, chatId, ban) {
+    ban.notified = true;
+
+    const subject = ban.type === 'group' ? 'This group is' : 'You are';
+    const until = ban.expiresAt ? ` for ${formatDuration(ban.expiresAt - Date.now())}` : '';
+    const reason = ban.reason ? `\nReason: ${ban.reason}` : '';
+
+    try {
+      await this.collection().updateOne({ jid: ban.jid }, { $set: { notified: true } });
+      await sock.sendMessage(chatId, {
+        text: `🚫 ${subject} banned from using this bot${until}.${reason}`
+      });
+    } catch (error) {
+      console.warn(chalk.yellow('⚠️ Ban notice failed:'), error.message);
+    }
+  }
+
+  /**
+   * Ban a user or group. `duration` is in ms; omit it for a permanent ban.
+   */
+  async ban(jid, { duration = null, reason = null, bannedBy = null } = {}, sock = null) {
+    jid = normalizeJid(jid);
+    const type = isGroupJid(jid) ? 'group' : 'user';
+
+    if (type === 'user' && this.pluginManager.isOwner(jid)) {
+      throw new BanError('The owner cannot be banned');
+    }
+
+    const previous = this.bans.get(jid);
+    const ban = {
+      jid,
+      type,
+      reason,
+      bannedBy,
+      expiresAt: duration ? new Date(Date.now() + duration) : null,
+      blocked: previous?.blocked || false,
+      notified: false,
+      createdAt: new Date()
+    };
+
+    if (type === 'user' && !ban.blocked && this.settings.get('banBlock') && sock) {
+      ban.blocked = await this.setBlocked(sock, jid, true);
+    }
+
+    await this.collection().replaceOne({ jid }, ban, { upsert: true });
+    this.bans.set(jid, ban);
+
+    console.log(chalk.yellow(`🚫 Banned ${type} ${jid}${duration ? ` for ${formatDuration(duration)}` : ''}${reason ? `: ${reason}` : ''}`));
+    return ban;
+  }
+
+  /**
+   * Lift a ban. Returns the removed ban, or null if there was none.
+   * The ban is kept when the WhatsApp block it created can't be undone.
+   */
+  async unban(jid, sock = null) {
+    jid = normalizeJid(jid);
+    const ban = this.bans.get(jid);
+    if (!ban) return null;
+
+    if (ban.blocked && (!sock || await this.setBlocked(sock, jid, false))) {
+      throw new BanError(`${jid.split('@')[0]} is still blocked on WhatsApp, the ban was kept. Try again when connected.`);
+    }
+
+    await this.collection().deleteOne({ jid });
+    this.bans.delete(jid);
+
+    console.log(chalk.green(`✅ Unbanned ${ban.type} ${jid}`));
+    return ban;
+  }
+
+  /**
+   * Block or unblock on WhatsApp. Returns true when the user ends up blocked.
+   */
+  async setBlocked(sock, jid, blocked) {
+    try {
+      await sock.updateBlockStatus(jid, blocked ? 'block' : 'unblock');
+      return blocked;
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️ Could not ${blocked ? 'block' : 'unblock'} ${jid}:`), error.message);
+      return !blocked;
+    }
+  }
+
+  /**
+   * Lift expired bans
+   */
+  async sweep() {
+    const now = new Date();
+    const expired = [...this.bans.values()].filter(ban => ban.expiresAt && ban.expiresAt <= now);
+    const sock = this.getSocket();
+
+    for (const ban of expired) {
+      // Keep the record until the WhatsApp block can be undone
+      if (ban.blocked && !sock) continue;
+
+      try {
+        await this.unban(ban.jid, sock);
+      } catch (error) {
+        if (!(error instanceof BanError)) throw error;
+      }
+    }
+  }
+
+  /**
+   * Active bans, newest first
+   */
+  list() {
+    const now = new Date();
+    return [...this.bans.values()]
+      .filter(ban => !ban.expiresAt || ban.expiresAt > now)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Stop the expiry sweep
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
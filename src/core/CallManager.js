@@ -0,0 +1,135 @@
+import chalk from 'chalk';
+
+/**
+ * Applies the call policy to incoming calls and logs every call to `call_log`.
+ * Policies: allow, reject, reject-message, block (reject, then block after
+ * `callBlockAfter` calls within `callBlockWindow` minutes).
+ */
+export class CallManager {
+  constructor(mongoManager, pluginManager, settings) {
+    this.mongoManager = mongoManager;
+    this.pluginManager = pluginManager;
+    this.settings = settings;
+  }
+
+  /**
+   * Create indexes
+   */
+  async initialize() {
+    await this.collection().createIndex({ from: 1, createdAt: -1 });
+    await this.collection().createIndex({ createdAt: -1 });
+  }
+
+  /**
+   * Call log collection
+   */
+  collection() {
+    return this.mongoManager.getDB().collection('call_log');
+  }
+
+  /**
+   * Handle one item of the `call` event
+   */
+  async handleCall(sock, call) {
+    // Each call also reports ringing/timeout/terminate; only act on the offer
+    if (call.status !== 'offer') return;
+
+    const from = call.from;
+    const policy = this.settings.get('callPolicy');
+    let action = policy;
+    let blocked = false;
+
+    if (this.pluginManager.isOwner(from)) {
+      action = 'allow (owner)';
+    } else if (policy !== 'allow') {
+      await this.reject(sock, call);
+
+      if (policy === 'reject-message' || policy === 'block') {
+        await this.sendNotice(sock, call);
+      }
+
+      if (policy === 'block') {
+        blocked = await this.blockIfRepeated(sock, from);
+      }
+    }
+
+    await this.record(call, action, blocked);
+    console.log(chalk.yellow(`📞 ${call.isVideo ? 'Video' : 'Voice'} call from ${from} → ${action}${blocked ? ' + blocked' : ''}`));
+  }
+
+  /**
+   * Reject the call
+   */
+  async reject(sock, call) {
+    try {
+      await sock.rejectCall(call.id, call.from);
+    } catch (error) {
+      console.warn(chalk.yellow('⚠️ Call rejection failed:'), error.message);
+    }
+  }
+
+  /**
+   * Tell the caller why the call was rejected
+   */
+  async sendNotice(sock, call) {
+    try {
+      await sock.sendMessage(call.chatId || call.from, {
+        text: this.settings.get('callMessage')
+      });
+    } catch (error) {
+      console.warn(chalk.yellow('⚠️ Call notice failed:'), error.message);
+    }
+  }
+
+  /**
+   * Block the caller once they reach the call limit within the window.
+   * The current call is not logged yet, so it is counted separately.
+   */
+  async blockIfRepeated(sock, from) {
+    const limit = this.settings.get('callBlockAfter');
+    const since = new Date(Date.now() - this.settings.get('callBlockWindow') * 60000);
+
+    const previous = await this.collection().countDocuments({ from, createdAt: { $gte: since } });
+    if (previous + 1 < limit) return false;
+
+    try {
+      await sock.sendMessage(from, {
+        text: `🚫 You have been blocked after ${limit} calls.`
+      });
+      await sock.updateBlockStatus(from, 'block');
+      console.log(chalk.red(`🚫 Blocked ${from} after ${previous + 1} calls`));
+      return true;
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️ Failed to block ${from}:`), error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Write a call log entry
+   */
+  async record(call, action, blocked) {
+    try {
+      await this.collection().insertOne({
+        callId: call.id,
+        from: call.from,
+        chatId: call.chatId || call.from,
+        isVideo: Boolean(call.isVideo),
+        isGroup: Boolean(call.isGroup),
+        groupJid: call.groupJid || null,
+        action,
+        blocked,
+        createdAt: new Date()
+      });
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to log call:'), error.message);
+    }
+  }
+
+  /**
+   * Latest calls, newest first
+   */
+  async getRecent(limit = 10) {
+    return await this.collection().find({}).sort({ createdAt: -1 }).limit(limit).toArray();
+  }
+}
@@ -0,0 +1,183 @@
+import chalk from 'chalk';
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_DEPTH = 200;
+const DEFAULT_MAX_PER_CHAT = 10;
+const SAMPLE_SIZE = 500;
+
+export const OVERFLOW_POLICIES = ['reject', 'drop-oldest'];
+
+/**
+ * Fixed-size window of timing samples
+ */
+class TimingWindow {
+  constructor(size = SAMPLE_SIZE) {
+    this.size = size;
+    this.samples = [];
+    this.max = 0;
+  }
+
+  add(ms) {
+    this.samples.push(ms);
+    if (this.samples.length > this.size) this.samples.shift();
+    if (ms > this.max) this.max = ms;
+  }
+
+  summary() {
+    if (this.samples.length === 0) {
+      return { avg: 0, p95: 0, max: this.max };
+    }
+
+    const sorted = [...this.samples].sort((a, b) => a - b);
+    const avg = sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length;
+    const p95 = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))];
+
+    return { avg: Math.round(avg), p95, max: this.max };
+  }
+}
+
+/**
+ * Runs jobs FIFO per chat while letting different chats run in parallel,
+ * up to a global concurrency limit. Chats are served round-robin so one
+ * busy group can't starve the others.
+ */
+export class CommandScheduler {
+  constructor(worker, options = {}) {
+    this.worker = worker;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.maxDepth = options.maxDepth || DEFAULT_MAX_DEPTH;
+    this.maxPerChat = options.maxPerChat || DEFAULT_MAX_PER_CHAT;
+    this.overflow = OVERFLOW_POLICIES.includes(options.overflow) ? options.overflow : 'reject';
+
+    this.queues = new Map();
+    this.activeChats = new Set();
+    this.running = 0;
+    this.depth = 0;
+
+    this.waitTimes = new TimingWindow();
+    this.execTimes = new TimingWindow();
+    this.counters = { enqueued: 0, completed: 0, failed: 0, rejected: 0, dropped: 0 };
+  }
+
+  /**
+   * Queue a job for a chat.
+   * Returns { accepted, dropped } where dropped is the payload evicted to make room.
+   */
+  enqueue(chatId, payload) {
+    const queue = this.queues.get(chatId) || [];
+    let dropped = null;
+
+    const chatFull = queue.length >= this.maxPerChat;
+    const globalFull = this.depth >= this.maxDepth;
+
+    if (chatFull || globalFull) {
+      if (this.overflow === 'drop-oldest') {
+        dropped = this.dropOldest(chatFull ? chatId : null);
+      }
+
+      if (!dropped) {
+        this.counters.rejected++;
+        return { accepted: false, dropped: null };
+      }
+    }
+
+    queue.push({ payload, enqueuedAt: Date.now() });
+    this.queues.set(chatId, queue);
+    this.depth++;
+    this.counters.enqueued++;
+
+    this.pump();
+    return { accepted: true, dropped };
+  }
+
+  /**
+   * Evict the oldest waiting job, from one chat or from the longest queue
+   */
+  dropOldest(chatId = null) {
+    let targetId = chatId;
+
+    if (!targetId) {
+      let longest = 0;
+      for (const [id, queue] of this.queues) {
+        if (queue.length > longest) {
+          longest = queue.length;
+          targetId = id;
+        }
+      }
+    }
+
+    const queue = this.queues.get(targetId);
+    if (!queue || queue.length === 0) return null;
+
+    const job = queue.shift();
+    if (queue.length === 0) this.queues.delete(targetId);
+    this.depth--;
+    this.counters.dropped++;
+
+    return job.payload;
+  }
+
+  /**
+   * Start as many jobs as the concurrency limit allows
+   */
+  pump() {
+    for (const chatId of Array.from(this.queues.keys())) {
+      if (this.running >= this.concurrency) break;
+      if (this.activeChats.has(chatId)) continue;
+      this.start(chatId);
+    }
+  }
+
+  /**
+   * Run the next job of a chat
+   */
+  start(chatId) {
+    const queue = this.queues.get(chatId);
+    const job = queue.shift();
+
+    // Move the chat to the back of the line (round-robin)
+    this.queues.delete(chatId);
+    if (queue.length > 0) this.queues.set(chatId, queue);
+
+    this.depth--;
+    this.running++;
+    this.activeChats.add(chatId);
+
+    const startedAt = Date.now();
+    this.waitTimes.add(startedAt - job.enqueuedAt);
+
+    Promise.resolve()
+      .then(() => this.worker(job.payload))
+      .then(() => {
+        this.counters.completed++;
+      })
+      .catch(error => {
+        this.counters.failed++;
+        console.error(chalk.red('❌ Scheduled command failed:'), error);
+      })
+      .finally(() => {
+        this.execTimes.add(Date.now() - startedAt);
+        this.running--;
+        this.activeChats.delete(chatId);
+        this.pump();
+      });
+  }
+
+  /**
+   * Queue and timing metrics
+   */
+  getStats() {
+    return {
+      running: this.running,
+      queued: this.depth,
+      chatsWaiting: this.queues.size,
+      concurrency: this.concurrency,
+      maxDepth: this.maxDepth,
+      maxPerChat: this.maxPerChat,
+      overflow: this.overflow,
+      waitMs: this.waitTimes.summary(),
+      execMs: this.execTimes.summary(),
+      ...this.counters
+    };
+  }
+}
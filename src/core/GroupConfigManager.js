@@ -0,0 +1,204 @@
+import NodeCache from 'node-cache';
+import chalk from 'chalk';
+import { SETTINGS, SettingError, toBoolean } from './SettingsManager.js';
+
+const CACHE_TTL = 300; // seconds
+
+const parseList = (value) => {
+  const list = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+  return [...new Set(list.map(item => String(item).trim().toLowerCase()).filter(Boolean))];
+};
+
+const parseEnum = (key, choices) => (value) => {
+  const choice = String(value).toLowerCase();
+  if (!choices.includes(choice)) {
+    throw new SettingError(key, `"${key}" must be one of: ${choices.join(', ')}`);
+  }
+  return choice;
+};
+
+const parseTemplate = (key) => (value) => {
+  const template = String(value).trim();
+  if (!template || template.length > 1000) {
+    throw new SettingError(key, 'Message must be 1-1000 characters');
+  }
+  return template;
+};
+
+const parseDomains = (value) => parseList(value).map(domain => {
+  const host = domain.replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
+  if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host)) {
+    throw new SettingError('antilinkAllow', `"${domain}" is not a domain`);
+  }
+  return host;
+});
+
+/**
+ * Per-chat overrides. Fields with `setting` fall back to that global setting
+ * when the chat has no value of its own.
+ */
+export const CHAT_FIELDS = {
+  prefix: { setting: 'prefix', parse: SETTINGS.prefix.parse },
+  language: { setting: 'language', parse: SETTINGS.language.parse },
+  antilink: { setting: 'antilink', parse: SETTINGS.antilink.parse },
+  welcome: { setting: 'welcome', parse: SETTINGS.welcome.parse },
+  antidelete: { setting: 'antidelete', parse: SETTINGS.antidelete.parse },
+  editHistory: { setting: 'editHistory', parse: SETTINGS.editHistory.parse },
+  // What anti-link does after deleting: warn the sender, kick them, or only log
+  antilinkAction: { default: 'warn', parse: parseEnum('antilinkAction', ['warn', 'kick', 'log']) },
+  // Block only group invites, or every URL
+  antilinkMode: { default: 'invites', parse: parseEnum('antilinkMode', ['invites', 'all']) },
+  // Domains that never count as links (subdomains included)
+  antilinkAllow: { default: [], parse: parseDomains },
+  // Membership message templates (null uses the built-in default)
+  welcomeMessage: { default: null, parse: parseTemplate('welcomeMessage') },
+  goodbyeMessage: { default: null, parse: parseTemplate('goodbyeMessage') },
+  promoteMessage: { default: null, parse: parseTemplate('promoteMessage') },
+  demoteMessage: { default: null, parse: parseTemplate('demoteMessage') },
+  // Attach the group picture to welcome/goodbye messages
+  welcomePicture: { default: false, parse: value => toBoolean('welcomePicture', value) },
+  // Plugins turned off in this chat
+  disabledPlugins: { default: [], parse: parseList },
+  // When not empty, only these plugins run in this chat
+  enabledPlugins: { default: [], parse: parseList }
+};
+
+/**
+ * Per-chat configuration stored in `group_config`, layered over global settings
+ */
+export class GroupConfigManager {
+  constructor(mongoManager, settings) {
+    this.mongoManager = mongoManager;
+    this.settings = settings;
+    // Caches missing docs too, so chats without overrides don't hit Mongo
+    this.cache = new NodeCache({ stdTTL: CACHE_TTL, useClones: false });
+  }
+
+  /**
+   * Create indexes
+   */
+  async initialize() {
+    await this.collection().createIndex({ chatId: 1 }, { unique: true });
+  }
+
+  /**
+   * Group config collection
+   */
+  collection() {
+    return this.mongoManager.getDB().collection('group_config');
+  }
+
+  /**
+   * Look up a field definition
+   */
+  field(key) {
+    const field = CHAT_FIELDS[key];
+    if (!field) {
+      throw new SettingError(key, `Unknown group setting "${key}"`);
+    }
+    return field;
+  }
+
+  /**
+   * Stored overrides for a chat ({} when none)
+   */
+  async getOverrides(chatId) {
+    const cached = this.cache.get(chatId);
+    if (cached) return cached;
+
+    const doc = await this.collection().findOne({ chatId });
+    const overrides = doc?.overrides || {};
+
+    this.cache.set(chatId, overrides);
+    return overrides;
+  }
+
+  /**
+   * Effective config for a chat: overrides first, then global settings
+   */
+  async resolve(chatId) {
+    const overrides = await this.getOverrides(chatId);
+    const config = { chatId, overridden: Object.keys(overrides) };
+
+    for (const [key, field] of Object.entries(CHAT_FIELDS)) {
+      if (overrides[key] !== undefined) {
+        config[key] = overrides[key];
+      } else if (field.setting) {
+        config[key] = this.settings.get(field.setting);
+      } else {
+        config[key] = field.default;
+      }
+    }
+
+    return config;
+  }
+
+  /**
+   * Validate and store one override
+   */
+  async set(chatId, key, value, updatedBy = null) {
+    const parsed = this.field(key).parse(value);
+
+    await this.collection().updateOne(
+      { chatId },
+      {
+        $set: { [`overrides.${key}`]: parsed, updatedAt: new Date(), updatedBy },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true }
+    );
+
+    this.cache.del(chatId);
+    console.log(chalk.blue(`⚙️ ${chatId}: "${key}" set to ${JSON.stringify(parsed)}`));
+
+    return parsed;
+  }
+
+  /**
+   * Remove one override so the chat falls back to the global value
+   */
+  async unset(chatId, key, updatedBy = null) {
+    this.field(key);
+
+    await this.collection().updateOne(
+      { chatId },
+      { $unset: { [`overrides.${key}`]: '' }, $set: { updatedAt: new Date(), updatedBy } }
+    );
+
+    this.cache.del(chatId);
+  }
+
+  /**
+   * Add or remove an item from a list field (plugin lists, allowed domains)
+   */
+  async updateList(chatId, key, item, add, updatedBy = null) {
+    if (!Array.isArray(this.field(key).default)) {
+      throw new SettingError(key, `"${key}" is not a list`);
+    }
+
+    const overrides = await this.getOverrides(chatId);
+    const list = new Set(overrides[key] || []);
+    const [value] = this.field(key).parse([item]);
+
+    if (add) {
+      list.add(value);
+    } else {
+      list.delete(value);
+    }
+
+    if (list.size === 0) {
+      await this.unset(chatId, key, updatedBy);
+      return [];
+    }
+
+    return await this.set(chatId, key, [...list], updatedBy);
+  }
+
+  /**
+   * Drop every override for a chat
+   */
+  async reset(chatId) {
+    await this.collection().deleteOne({ chatId });
+    this.cache.del(chatId);
+  }
+}
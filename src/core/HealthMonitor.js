@@ -44,6 +44,9 @@ export class HealthMonitor {
     const socketStatus = this.socketManager.isConnected() ? '✅ Connected' : '❌ Disconnected';
     const dbStatus = this.mongoManager.isConnected() ? '✅ Connected' : '❌ Disconnected';
     const pluginCount = this.pluginManager.getPluginCount();
+    const queue = this.pluginManager.getSchedulerStats();
+    const limits = this.pluginManager.getRateLimitStats();
+    const outbound = this.pluginManager.getOutboundStats();
 
     console.log(chalk.cyan('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
     console.log(chalk.cyan.bold('📊 HEALTH REPORT'));
@@ -53,6 +56,13 @@ export class HealthMonitor {
     console.log(chalk.white(`🔗 Socket: ${socketStatus}`));
     console.log(chalk.white(`🗄️  Database: ${dbStatus}`));
     console.log(chalk.white(`🔌 Plugins: ${pluginCount} loaded`));
+    console.log(chalk.white(`📥 Queue: ${queue.running}/${queue.concurrency} running, ${queue.queued} waiting, ${queue.rejected + queue.dropped} shed`));
+    console.log(chalk.white(`⏳ Wait: avg ${queue.waitMs.avg}ms, p95 ${queue.waitMs.p95}ms | ⚙️ Exec: avg ${queue.execMs.avg}ms, p95 ${queue.execMs.p95}ms`));
+    console.log(chalk.white(`🚦 Rate limits (${limits.store}): ${limits.limited} limited, ${limits.warnings} warned, ${limits.silenced} silenced, ${limits.suppressed} ignored`));
+    if (outbound) {
+      const waiting = Object.values(outbound.queued).reduce((total, count) => total + count, 0);
+      console.log(chalk.white(`📤 Outbound: ${outbound.sent} sent, ${waiting} waiting, ${outbound.retried} retried, ${outbound.failed + outbound.expired + outbound.dropped} failed`));
+    }
     console.log(chalk.cyan('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n'));
   }
 
@@ -97,6 +107,9 @@ export class HealthMonitor {
       socketConnected: this.socketManager.isConnected(),
       dbConnected: this.mongoManager.isConnected(),
       pluginCount: this.pluginManager.getPluginCount(),
+      commandQueue: this.pluginManager.getSchedulerStats(),
+      rateLimits: this.pluginManager.getRateLimitStats(),
+      outbound: this.pluginManager.getOutboundStats(),
       timestamp: new Date().toISOString()
     };
   }
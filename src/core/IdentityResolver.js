@@ -0,0 +1,157 @@
+import chalk from 'chalk';
+import { normalizeJid, isGroupJid } from '../utils/helpers.js';
+
+/**
+ * Check if a JID is a phone-number user JID
+ */
+export function isPnJid(jid) {
+  return Boolean(jid?.endsWith('@s.whatsapp.net'));
+}
+
+/**
+ * Check if a JID is a LID (anonymous id used in groups and newer chats)
+ */
+export function isLidJid(jid) {
+  return Boolean(jid?.endsWith('@lid'));
+}
+
+/**
+ * Build the actor of a message from its key alone.
+ * `lookup(jid)` may return the other half of a phone/LID pair.
+ *
+ * - chat: where the message was sent (group or private chat JID)
+ * - participant: who sent it, as WhatsApp addressed them (phone JID or LID)
+ * - pn / lid: both forms of the sender, when known
+ * - id: stable key for per-user state (phone JID when known)
+ */
+export function actorFromKey(key, lookup = () => null) {
+  const chat = key.remoteJid;
+  const isGroup = isGroupJid(chat);
+  const participant = normalizeJid(isGroup ? key.participant : chat) || null;
+
+  // Baileys reports the alternate address of the sender when it has it
+  const alternates = isGroup
+    ? [key.participantPn, key.participantLid]
+    : [key.senderPn, key.senderLid];
+  const ids = [participant, ...alternates].filter(Boolean).map(normalizeJid);
+
+  const pn = ids.find(isPnJid) || lookup(ids.find(isLidJid)) || null;
+  const lid = ids.find(isLidJid) || lookup(pn) || null;
+
+  return { chat, isGroup, participant, pn, lid, id: pn || participant };
+}
+
+/**
+ * Learns which phone number belongs to which LID from message keys, contacts
+ * and group metadata, and persists the pairs in `lid_mappings`.
+ */
+export class IdentityResolver {
+  constructor(mongoManager) {
+    this.mongoManager = mongoManager;
+    this.pnToLid = new Map();
+    this.lidToPn = new Map();
+  }
+
+  /**
+   * Create indexes and load known mappings
+   */
+  async initialize() {
+    const collection = this.collection();
+    await collection.createIndex({ lid: 1 }, { unique: true });
+    await collection.createIndex({ pn: 1 });
+
+    for (const { pn, lid } of await collection.find({}).toArray()) {
+      this.remember(pn, lid);
+    }
+
+    console.log(chalk.green(`✅ Identity mappings loaded (${this.lidToPn.size} LIDs)`));
+  }
+
+  /**
+   * Mappings collection
+   */
+  collection() {
+    return this.mongoManager.getDB().collection('lid_mappings');
+  }
+
+  /**
+   * Update the in-memory maps. Returns true when something changed.
+   */
+  remember(pn, lid) {
+    if (this.lidToPn.get(lid) === pn && this.pnToLid.get(pn) === lid) return false;
+
+    this.lidToPn.set(lid, pn);
+    this.pnToLid.set(pn, lid);
+    return true;
+  }
+
+  /**
+   * Record a phone/LID pair (either order, invalid pairs are ignored)
+   */
+  learn(a, b) {
+    const ids = [a, b].filter(Boolean).map(normalizeJid);
+    const pn = ids.find(isPnJid);
+    const lid = ids.find(isLidJid);
+    if (!pn || !lid || !this.remember(pn, lid)) return;
+
+    this.collection()
+      .updateOne({ lid }, { $set: { lid, pn, updatedAt: new Date() } }, { upsert: true })
+      .catch(error => console.warn(chalk.yellow('⚠️ Failed to store LID mapping:'), error.message));
+  }
+
+  /**
+   * Learn from the alternate addresses on a message key
+   */
+  learnFromMessage(msg) {
+    const key = msg?.key;
+    if (!key) return;
+
+    if (isGroupJid(key.remoteJid)) {
+      this.learn(key.participant, key.participantPn || key.participantLid);
+    } else {
+      this.learn(key.remoteJid, key.senderPn || key.senderLid);
+    }
+  }
+
+  /**
+   * Learn from contacts.upsert / contacts.update items and group participants
+   */
+  learnFromContacts(contacts) {
+    for (const contact of contacts || []) {
+      this.learn(contact.jid || contact.id, contact.lid || contact.id);
+    }
+  }
+
+  /**
+   * Learn from group metadata participants
+   */
+  learnFromGroup(metadata) {
+    this.learnFromContacts(metadata?.participants);
+  }
+
+  /**
+   * The other form of a JID (LID for a phone JID and vice versa), or null
+   */
+  lookup(jid) {
+    if (!jid) return null;
+    jid = normalizeJid(jid);
+    return (isLidJid(jid) ? this.lidToPn.get(jid) : this.pnToLid.get(jid)) || null;
+  }
+
+  /**
+   * A JID plus its known other form
+   */
+  aliases(jid) {
+    if (!jid) return [];
+    jid = normalizeJid(jid);
+    return [jid, this.lookup(jid)].filter(Boolean);
+  }
+
+  /**
+   * Resolve the actor of a message
+   */
+  resolve(msg) {
+    this.learnFromMessage(msg);
+    return actorFromKey(msg.key, jid => this.lookup(jid));
+  }
+}
@@ -0,0 +1,342 @@
+import chalk from 'chalk';
+
+export const PRIORITIES = ['high', 'normal', 'low'];
+
+const DEFAULT_GLOBAL_INTERVAL = 200;
+const DEFAULT_CHAT_INTERVAL = 1000;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 2000;
+const DEFAULT_HOLD_MAX = 300000;
+const DEFAULT_QUEUE_MAX = 1000;
+const FAILURE_HISTORY = 20;
+
+// Boom status codes worth retrying: timeout, connection closed, rate limited, server errors
+const TRANSIENT_STATUS = [408, 428, 429, 500, 502, 503, 515];
+const TRANSIENT_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+function orDefault(value, fallback) {
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Thrown to callers whose message could not be delivered
+ */
+export class SendError extends Error {
+  constructor(message, jid, cause = null) {
+    super(message);
+    this.name = 'SendError';
+    this.jid = jid;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Check if a send error is likely to go away on retry
+ */
+export function isTransientError(error) {
+  const status = error?.output?.statusCode;
+  if (TRANSIENT_STATUS.includes(status)) return true;
+  if (TRANSIENT_CODES.includes(error?.code)) return true;
+  return /connection closed|timed out|rate-overlimit/i.test(error?.message || '');
+}
+
+/**
+ * Outbound message queue in front of `sock.sendMessage`.
+ *
+ * Every send is queued by priority and paced by a global and a per-chat
+ * minimum interval. Transient failures are retried with exponential backoff,
+ * and messages are held while the connection is down (up to `holdMs`).
+ * The queue outlives sockets: each new socket is attached on connect.
+ */
+export class MessageDispatcher {
+  constructor(options = {}) {
+    // 0 is a valid interval or retry count, so only missing/NaN falls back
+    this.globalIntervalMs = orDefault(options.globalIntervalMs, DEFAULT_GLOBAL_INTERVAL);
+    this.chatIntervalMs = orDefault(options.chatIntervalMs, DEFAULT_CHAT_INTERVAL);
+    this.maxRetries = orDefault(options.maxRetries, DEFAULT_MAX_RETRIES);
+    this.retryDelayMs = options.retryDelayMs || DEFAULT_RETRY_DELAY;
+    this.holdMs = options.holdMs || DEFAULT_HOLD_MAX;
+    this.maxQueue = options.maxQueue || DEFAULT_QUEUE_MAX;
+
+    this.queues = Object.fromEntries(PRIORITIES.map(priority => [priority, []]));
+    this.chatReadyAt = new Map();
+    this.nextSendAt = 0;
+    this.sendRaw = null;
+    this.connected = false;
+    this.sending = false;
+    this.timer = null;
+    this.timerAt = 0;
+
+    this.counters = { enqueued: 0, sent: 0, retried: 0, failed: 0, expired: 0, dropped: 0, cancelled: 0 };
+    this.failures = [];
+  }
+
+  /**
+   * Route a socket's sendMessage through the queue
+   */
+  attach(sock) {
+    this.sendRaw = sock.sendMessage.bind(sock);
+    sock.sendMessage = (jid, content, options) => this.send(jid, content, options);
+  }
+
+  /**
+   * Pause or resume sending when the connection changes
+   */
+  setConnected(connected) {
+    this.connected = connected;
+    if (connected && this.size() > 0) {
+      console.log(chalk.blue(`📤 Connection open, sending ${this.size()} held message(s)`));
+    }
+    this.pump();
+  }
+
+  /**
+   * Queue a message. Resolves with the sent WAMessage once it is delivered.
+   * `options.priority` is high, normal (default) or low. `options.signal`
+   * (set for plugin runs) withdraws the message if it fires before sending.
+   */
+  send(jid, content, options = {}) {
+    const { priority = 'normal', signal = null, ...sendOptions } = options;
+
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    if (this.size() >= this.maxQueue) {
+      this.counters.dropped++;
+      const error = new SendError(`Outbound queue is full (${this.maxQueue})`, jid);
+      this.recordFailure(jid, error, 0);
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      const item = {
+        jid,
+        content,
+        options: sendOptions,
+        priority: PRIORITIES.includes(priority) ? priority : 'normal',
+        attempts: 0,
+        notBefore: 0,
+        queuedAt: Date.now(),
+        signal,
+        onAbort: null,
+        resolve: value => {
+          item.signal?.removeEventListener('abort', item.onAbort);
+          resolve(value);
+        },
+        reject: error => {
+          item.signal?.removeEventListener('abort', item.onAbort);
+          reject(error);
+        }
+      };
+
+      if (signal) {
+        item.onAbort = () => this.withdraw(item);
+        signal.addEventListener('abort', item.onAbort, { once: true });
+      }
+
+      this.queues[item.priority].push(item);
+      this.counters.enqueued++;
+      this.pump();
+    });
+  }
+
+  /**
+   * Drop a queued message whose run was aborted (a send in flight finishes)
+   */
+  withdraw(item) {
+    const queue = this.queues[item.priority];
+    const index = queue.indexOf(item);
+    if (index === -1) return;
+
+    queue.splice(index, 1);
+    this.counters.cancelled++;
+    item.reject(item.signal.reason);
+  }
+
+  /**
+   * Number of queued messages
+   */
+  size() {
+    return PRIORITIES.reduce((total, priority) => total + this.queues[priority].length, 0);
+  }
+
+  /**
+   * Run the pump after `delay` ms (keeps the earliest pending wake-up)
+   */
+  schedule(delay) {
+    const at = Date.now() + delay;
+    if (this.timer && this.timerAt <= at) return;
+
+    clearTimeout(this.timer);
+    this.timerAt = at;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.pump();
+    }, delay);
+  }
+
+  /**
+   * Send the next message that is due, one at a time
+   */
+  pump() {
+    if (this.sending) return;
+
+    const now = Date.now();
+
+    if (!this.connected || !this.sendRaw) {
+      this.expireHeld(now);
+      const oldest = Math.min(...PRIORITIES.flatMap(p => this.queues[p].map(item => item.queuedAt)));
+      if (Number.isFinite(oldest)) this.schedule(oldest + this.holdMs - now);
+      return;
+    }
+
+    if (now < this.nextSendAt) {
+      this.schedule(this.nextSendAt - now);
+      return;
+    }
+
+    const next = this.takeNext(now);
+    if (!next.item) {
+      if (Number.isFinite(next.wait)) this.schedule(next.wait);
+      return;
+    }
+
+    this.deliver(next.item, now);
+  }
+
+  /**
+   * Remove and return the highest-priority item whose chat and backoff allow
+   * sending now, or the time until one will be ready
+   */
+  takeNext(now) {
+    let wait = Infinity;
+
+    for (const priority of PRIORITIES) {
+      const queue = this.queues[priority];
+
+      for (let i = 0; i < queue.length; i++) {
+        const item = queue[i];
+        const readyAt = Math.max(item.notBefore, this.chatReadyAt.get(item.jid) || 0);
+
+        if (readyAt <= now) {
+          queue.splice(i, 1);
+          return { item };
+        }
+        wait = Math.min(wait, readyAt - now);
+      }
+    }
+
+    return { item: null, wait };
+  }
+
+  /**
+   * Send one item, retrying transient failures with backoff
+   */
+  async deliver(item, now) {
+    // The run may have been aborted while a retry was waiting
+    if (item.signal?.aborted) {
+      this.counters.cancelled++;
+      item.reject(item.signal.reason);
+      this.pump();
+      return;
+    }
+
+    this.sending = true;
+    this.nextSendAt = now + this.globalIntervalMs;
+    this.chatReadyAt.set(item.jid, now + this.chatIntervalMs);
+
+    try {
+      const sent = await this.sendRaw(item.jid, item.content, item.options);
+      this.counters.sent++;
+      item.resolve(sent);
+    } catch (error) {
+      item.attempts++;
+
+      if (isTransientError(error) && item.attempts <= this.maxRetries) {
+        this.counters.retried++;
+        item.notBefore = Date.now() + this.retryDelayMs * 2 ** (item.attempts - 1);
+        this.queues[item.priority].unshift(item);
+        console.warn(chalk.yellow(`⚠️ Send to ${item.jid} failed (${error.message}), retry ${item.attempts}/${this.maxRetries}`));
+      } else {
+        this.counters.failed++;
+        this.recordFailure(item.jid, error, item.attempts);
+        item.reject(new SendError(`Failed to send to ${item.jid}: ${error.message}`, item.jid, error));
+      }
+    } finally {
+      this.sending = false;
+      this.pruneChats();
+      this.pump();
+    }
+  }
+
+  /**
+   * Fail messages held longer than `holdMs` while disconnected
+   */
+  expireHeld(now) {
+    for (const priority of PRIORITIES) {
+      this.queues[priority] = this.queues[priority].filter(item => {
+        if (now - item.queuedAt < this.holdMs) return true;
+
+        this.counters.expired++;
+        const error = new SendError(`Not connected for ${Math.round(this.holdMs / 1000)}s, message dropped`, item.jid);
+        this.recordFailure(item.jid, error, item.attempts);
+        item.reject(error);
+        return false;
+      });
+    }
+  }
+
+  /**
+   * Forget per-chat pacing that no longer applies
+   */
+  pruneChats() {
+    if (this.chatReadyAt.size < 500) return;
+
+    const now = Date.now();
+    for (const [jid, readyAt] of this.chatReadyAt) {
+      if (readyAt <= now) this.chatReadyAt.delete(jid);
+    }
+  }
+
+  /**
+   * Keep the last few failures for health reports
+   */
+  recordFailure(jid, error, attempts) {
+    this.failures.unshift({ jid, error: error.message, attempts, at: new Date() });
+    this.failures.length = Math.min(this.failures.length, FAILURE_HISTORY);
+    console.error(chalk.red(`❌ Message to ${jid} not delivered:`), error.message);
+  }
+
+  /**
+   * Queue depth, counters and recent failures
+   */
+  getStats() {
+    return {
+      connected: this.connected,
+      queued: Object.fromEntries(PRIORITIES.map(priority => [priority, this.queues[priority].length])),
+      ...this.counters,
+      recentFailures: this.failures
+    };
+  }
+
+  /**
+   * Wait up to `timeoutMs` for the queue to drain, then fail what is left
+   */
+  async stop(timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (this.size() > 0 && this.connected && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    for (const priority of PRIORITIES) {
+      for (const item of this.queues[priority]) {
+        item.reject(new SendError('Bot is shutting down', item.jid));
+      }
+      this.queues[priority] = [];
+    }
+  }
+}
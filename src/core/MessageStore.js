@@ -0,0 +1,120 @@
+import { BufferJSON, proto } from '@whiskeysockets/baileys';
+import chalk from 'chalk';
+import { LruCache } from '../utils/lruCache.js';
+import { ensureTtlIndex } from '../utils/ttlIndex.js';
+
+const COLLECTION = 'message_store';
+const DEFAULT_TTL_DAYS = 7;
+const DEFAULT_CACHE_SIZE = 1000;
+
+/**
+ * Store key for a message (ids are only unique per chat)
+ */
+function storeKey(remoteJid, id) {
+  return `${remoteJid}|${id}`;
+}
+
+/**
+ * Sent and received messages in Mongo (TTL-expired) with an LRU in front.
+ * Backs Baileys' getMessage for retries and poll decryption, and lets
+ * plugins load the full original of a quoted message.
+ */
+export class MessageStore {
+  constructor(mongoManager, options = {}) {
+    this.mongoManager = mongoManager;
+    this.ttlDays = options.ttlDays || DEFAULT_TTL_DAYS;
+    this.cache = new LruCache(options.cacheSize || DEFAULT_CACHE_SIZE);
+  }
+
+  /**
+   * Create indexes, updating the TTL if it changed
+   */
+  async initialize() {
+    await this.collection().createIndex({ remoteJid: 1, createdAt: -1 });
+    await ensureTtlIndex(this.mongoManager.getDB(), COLLECTION, 'createdAt', this.ttlDays * 86400);
+
+    console.log(chalk.green(`✅ Message store ready (TTL ${this.ttlDays}d, cache ${this.cache.maxSize})`));
+  }
+
+  /**
+   * Messages collection
+   */
+  collection() {
+    return this.mongoManager.getDB().collection(COLLECTION);
+  }
+
+  /**
+   * Save a WAMessage. Protocol messages (revokes, edits) are not stored.
+   */
+  async save(msg) {
+    const { key, message } = msg || {};
+    if (!key?.remoteJid || !key.id || !message || message.protocolMessage) return;
+
+    const record = {
+      key,
+      message,
+      pushName: msg.pushName || null,
+      messageTimestamp: Number(msg.messageTimestamp) || Math.floor(Date.now() / 1000)
+    };
+
+    const id = storeKey(key.remoteJid, key.id);
+    this.cache.set(id, record);
+
+    try {
+      await this.collection().updateOne(
+        { _id: id },
+        {
+          $set: {
+            remoteJid: key.remoteJid,
+            fromMe: Boolean(key.fromMe),
+            participant: key.participant || null,
+            data: JSON.stringify(record, BufferJSON.replacer)
+          },
+          $setOnInsert: { createdAt: new Date() }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to store message:'), error.message);
+    }
+  }
+
+  /**
+   * Full stored message ({ key, message, pushName, messageTimestamp }) or null
+   */
+  async loadMessage(remoteJid, id) {
+    const cacheKey = storeKey(remoteJid, id);
+    const cached = this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    const doc = await this.collection().findOne({ _id: cacheKey });
+    if (!doc) return null;
+
+    const record = JSON.parse(doc.data, BufferJSON.reviver);
+    this.cache.set(cacheKey, record);
+    return record;
+  }
+
+  /**
+   * Message content by key, for Baileys' getMessage
+   */
+  async getMessage(key) {
+    try {
+      const record = await this.loadMessage(key.remoteJid, key.id);
+      return record ? proto.Message.fromObject(record.message) : undefined;
+    } catch (error) {
+      console.warn(chalk.yellow('⚠️ Message store lookup failed:'), error.message);
+      return undefined;
+    }
+  }
+
+  /**
+   * Full original of the message quoted by `msg`, or null
+   */
+  async getQuoted(msg) {
+    const context = Object.values(msg.message || {}).find(part => part?.contextInfo)?.contextInfo;
+    if (!context?.stanzaId) return null;
+
+    return await this.loadMessage(context.remoteJid || msg.key.remoteJid, context.stanzaId);
+  }
+}
@@ -0,0 +1,221 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { initAuthCreds, BufferJSON, proto } from '@whiskeysockets/baileys';
+import chalk from 'chalk';
+
+const COLLECTION = 'auth_state';
+const CREDS_CATEGORY = 'creds';
+const CREDS_ID = 'creds';
+
+// Longest names first so "sender-key-memory-x" is not read as "sender-key"
+const KEY_CATEGORIES = [
+  'app-state-sync-version',
+  'app-state-sync-key',
+  'sender-key-memory',
+  'sender-key',
+  'pre-key',
+  'session'
+];
+
+/**
+ * Serialize auth data (Buffers included) for storage
+ */
+function serialize(value) {
+  return JSON.stringify(value, BufferJSON.replacer);
+}
+
+/**
+ * Restore auth data (Buffers included) from storage
+ */
+function deserialize(raw) {
+  return JSON.parse(raw, BufferJSON.reviver);
+}
+
+/**
+ * Baileys auth state backed by MongoDB.
+ * Drop-in replacement for useMultiFileAuthState: creds and signal keys
+ * live in the `auth_state` collection, one document per key.
+ */
+export async function useMongoAuthState(mongoManager, sessionName = 'default') {
+  const collection = mongoManager.getCollection(COLLECTION);
+  await collection.createIndex({ session: 1, category: 1, id: 1 }, { unique: true });
+
+  // Serialize writes so overlapping set() calls can't interleave
+  let writeChain = Promise.resolve();
+  const withWriteLock = (task) => {
+    const run = writeChain.then(task);
+    writeChain = run.catch(() => {});
+    return run;
+  };
+
+  const readData = async (category, id) => {
+    const doc = await collection.findOne({ session: sessionName, category, id });
+    return doc ? deserialize(doc.value) : null;
+  };
+
+  const creds = (await readData(CREDS_CATEGORY, CREDS_ID)) || initAuthCreds();
+
+  return {
+    state: {
+      creds,
+      keys: {
+        get: async (type, ids) => {
+          const docs = await collection
+            .find({ session: sessionName, category: type, id: { $in: ids } })
+            .toArray();
+          const found = new Map(docs.map(doc => [doc.id, doc.value]));
+
+          const data = {};
+          for (const id of ids) {
+            let value = found.has(id) ? deserialize(found.get(id)) : null;
+            if (type === 'app-state-sync-key' && value) {
+              value = proto.Message.AppStateSyncKeyData.fromObject(value);
+            }
+            data[id] = value;
+          }
+          return data;
+        },
+        set: async (data) => {
+          const operations = [];
+          const updatedAt = new Date();
+
+          for (const category in data) {
+            for (const id in data[category]) {
+              const value = data[category][id];
+              const filter = { session: sessionName, category, id };
+
+              operations.push(value
+                ? { updateOne: { filter, update: { $set: { value: serialize(value), updatedAt } }, upsert: true } }
+                : { deleteOne: { filter } }
+              );
+            }
+          }
+
+          if (operations.length === 0) return;
+          await withWriteLock(() => collection.bulkWrite(operations, { ordered: true }));
+        }
+      }
+    },
+    saveCreds: async () => {
+      await withWriteLock(() => collection.updateOne(
+        { session: sessionName, category: CREDS_CATEGORY, id: CREDS_ID },
+        { $set: { value: serialize(creds), updatedAt: new Date() } },
+        { upsert: true }
+      ));
+    }
+  };
+}
+
+/**
+ * Check if MongoDB already holds creds for a session
+ */
+export async function hasMongoAuthState(mongoManager, sessionName = 'default') {
+  const count = await mongoManager.getCollection(COLLECTION).countDocuments(
+    { session: sessionName, category: CREDS_CATEGORY, id: CREDS_ID },
+    { limit: 1 }
+  );
+  return count > 0;
+}
+
+// Legacy group ids (creator-timestamp@g.us) keep their hyphen in file names
+const LEGACY_GROUP_ID = /(\d+):(\d+@g\.us)/g;
+
+/**
+ * Map a useMultiFileAuthState filename back to its category and key id
+ */
+export function parseSessionFilename(filename) {
+  if (!filename.endsWith('.json')) return null;
+
+  const base = filename.slice(0, -'.json'.length);
+  if (base === 'creds') {
+    return { category: CREDS_CATEGORY, id: CREDS_ID };
+  }
+
+  const category = KEY_CATEGORIES.find(c => base.startsWith(`${c}-`));
+  if (!category) return null;
+
+  // Reverse the file-name escaping done by useMultiFileAuthState (/ -> __, : -> -).
+  // Group ids never contain ':', so hyphens inside them are restored.
+  const id = base
+    .slice(category.length + 1)
+    .replace(/__/g, '/')
+    .replace(/-/g, ':')
+    .replace(LEGACY_GROUP_ID, '$1-$2');
+
+  return { category, id };
+}
+
+/**
+ * One-time import of a sessions/ directory into MongoDB.
+ * Skipped when the session already has creds stored in MongoDB.
+ */
+export async function importSessionDir(mongoManager, sessionDir, sessionName = 'default') {
+  if (await hasMongoAuthState(mongoManager, sessionName)) {
+    return 0;
+  }
+
+  let files;
+  try {
+    files = await fs.readdir(sessionDir);
+  } catch {
+    return 0;
+  }
+
+  if (!files.includes('creds.json')) {
+    return 0;
+  }
+
+  const operations = [];
+  const updatedAt = new Date();
+  let skipped = 0;
+
+  for (const file of files) {
+    const parsed = parseSessionFilename(file);
+    if (!parsed) {
+      skipped++;
+      continue;
+    }
+
+    try {
+      const raw = await fs.readFile(path.join(sessionDir, file), 'utf-8');
+      // Round-trip to validate the JSON before storing it
+      const value = serialize(deserialize(raw));
+
+      operations.push({
+        updateOne: {
+          filter: { session: sessionName, ...parsed },
+          update: { $set: { value, updatedAt, importedFrom: file } },
+          upsert: true
+        }
+      });
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️ Skipping unreadable session file ${file}:`), error.message);
+      skipped++;
+    }
+  }
+
+  // Write creds last so a partial import is retried on next start
+  const credsIndex = operations.findIndex(op => op.updateOne.filter.category === CREDS_CATEGORY);
+  if (credsIndex === -1) {
+    console.warn(chalk.yellow('⚠️ creds.json could not be read, skipping session import'));
+    return 0;
+  }
+  operations.push(...operations.splice(credsIndex, 1));
+
+  await mongoManager.getCollection(COLLECTION).bulkWrite(operations, { ordered: true });
+
+  console.log(chalk.green(`✅ Imported ${operations.length} session files into MongoDB`));
+  if (skipped > 0) {
+    console.log(chalk.yellow(`   ⚠️ Skipped ${skipped} unrecognized files`));
+  }
+
+  return operations.length;
+}
+
+/**
+ * Remove all auth documents for a session
+ */
+export async function clearMongoAuthState(mongoManager, sessionName = 'default') {
+  const result = await mongoManager.getCollection(COLLECTION).deleteMany({ session: sessionName });
+  return result.deletedCount;
+}
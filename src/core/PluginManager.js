@@ -1,9 +1,30 @@
 // src/core/PluginManager.js - Enhanced with automatic database sync
 
-import { promises as fs } from 'fs';
+import { promises as fs, watch } from 'fs';
+import crypto from 'crypto';
 import path from 'path';
 import chalk from 'chalk';
-import { RateLimiter } from '../utils/rateLimiter.js';
+import NodeCache from 'node-cache';
+import { RateLimiter, MongoRateLimitStore } from '../utils/rateLimiter.js';
+import { CommandScheduler } from './CommandScheduler.js';
+import {
+  PluginAbortError,
+  abortPromise,
+  guardSocket,
+  guardDb
+} from '../utils/abortable.js';
+import { normalizeJid, isGroupJid, isOwner, formatDuration } from '../utils/helpers.js';
+import { CooldownTracker, normalizeCooldown } from '../utils/cooldowns.js';
+import { PERMISSIONS, compareRoles } from './RoleManager.js';
+import { actorFromKey } from './IdentityResolver.js';
+import {
+  ArgumentError,
+  validateSchema,
+  hasSchema,
+  parseArgs,
+  formatUsage,
+  describeParams
+} from '../utils/argParser.js';
 import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -11,16 +32,112 @@ const PLUGINS_DIR = path.join(__dirname, '../../plugins');
 const PLUGIN_TIMEOUT = 30000;
 const MAX_CRASHES = 3;
 const CRASH_WINDOW = 3600000; // 1 hour
+const GROUP_METADATA_TTL = 60; // seconds
+const WATCH_DEBOUNCE = 300;
+
+/**
+ * Events plugins can handle through `events: { [name]: handler }`
+ */
+export const PLUGIN_EVENTS = [
+  'message',
+  'group-participants.update',
+  'groups.update',
+  'call',
+  'messages.reaction',
+  'messages.update',
+  'connection.open',
+  'connection.close'
+];
+
+/**
+ * Default rejection messages, overridable per bot (BOT_MESSAGES or constructor)
+ * or per plugin (`messages`)
+ */
+export const DEFAULT_MESSAGES = {
+  disabled: '⚠️ Plugin "{plugin}" is currently disabled.',
+  disabledInChat: '⚠️ Plugin "{plugin}" is disabled in this chat.',
+  ownerOnly: '❌ This command is only available to the bot owner.',
+  permission: '❌ This command requires the {permission} role.',
+  adminOnly: '❌ This command is only available to group admins.',
+  groupOnly: '❌ This command can only be used in groups.',
+  privateOnly: '❌ This command can only be used in private chat.',
+  botAdminRequired: '❌ I need to be a group admin to run this command.',
+  cooldown: '⏳ Please wait {remaining} before using {plugin} again.',
+  rateLimited: '⚠️ You are sending commands too fast. Try again in {remaining}.',
+  chatRateLimited: '⚠️ This chat is sending commands too fast. Try again in {remaining}.',
+  silenced: '🔇 Too many commands. I will ignore you for {remaining}.',
+  busy: '⏳ The bot is busy right now. Please try again in a moment.'
+};
+
+/**
+ * Parse BOT_MESSAGES, a JSON object of rejection message overrides
+ */
+function parseMessageOverrides(json) {
+  if (!json) return {};
+
+  let overrides;
+  try {
+    overrides = JSON.parse(json);
+  } catch (error) {
+    console.warn(chalk.yellow('⚠️ BOT_MESSAGES is not valid JSON, using default messages:'), error.message);
+    return {};
+  }
+
+  return Object.fromEntries(Object.entries(overrides || {}).filter(([key, text]) => {
+    if (!(key in DEFAULT_MESSAGES)) {
+      console.warn(chalk.yellow(`⚠️ BOT_MESSAGES: unknown message "${key}" ignored`));
+      return false;
+    }
+    if (typeof text !== 'string' || !text.trim()) {
+      console.warn(chalk.yellow(`⚠️ BOT_MESSAGES: "${key}" must be a non-empty string`));
+      return false;
+    }
+    return true;
+  }));
+}
 
 export class PluginManager {
-  constructor(mongoManager) {
+  constructor(mongoManager, services = {}, options = {}) {
     this.mongoManager = mongoManager;
+    this.services = { ...services, pluginManager: this };
+    this.jobs = new Map();
+    this.messages = {
+      ...DEFAULT_MESSAGES,
+      ...parseMessageOverrides(process.env.BOT_MESSAGES),
+      ...options.messages
+    };
+    this.groupMetadataCache = new NodeCache({ stdTTL: GROUP_METADATA_TTL, useClones: false });
     this.plugins = new Map();
     this.crashTracker = new Map();
-    this.rateLimiter = new RateLimiter();
-    this.commandQueue = [];
-    this.isProcessing = false;
-    this.prefix = process.env.PREFIX || '.';
+    this.rateLimiter = new RateLimiter({
+      userMax: parseInt(process.env.RATE_LIMIT_MAX),
+      chatMax: parseInt(process.env.RATE_LIMIT_CHAT_MAX),
+      windowMs: parseInt(process.env.RATE_LIMIT_WINDOW),
+      strikes: parseInt(process.env.RATE_LIMIT_STRIKES),
+      strikeWindowMs: parseInt(process.env.RATE_LIMIT_STRIKE_WINDOW),
+      silenceMs: parseInt(process.env.RATE_LIMIT_SILENCE),
+      store: process.env.RATE_LIMIT_STORE === 'mongo' ? new MongoRateLimitStore(mongoManager) : undefined
+    });
+    this.cooldowns = new CooldownTracker();
+    this.scheduler = new CommandScheduler(command => this.executeCommand(command), {
+      concurrency: parseInt(process.env.COMMAND_CONCURRENCY),
+      maxDepth: parseInt(process.env.COMMAND_QUEUE_MAX),
+      maxPerChat: parseInt(process.env.COMMAND_QUEUE_PER_CHAT),
+      overflow: process.env.COMMAND_QUEUE_OVERFLOW
+    });
+    this.settings = services.settings || null;
+    this.groupConfig = services.groupConfig || null;
+    this.roles = services.roles || null;
+    this.filters = [];
+    this.watcher = null;
+    this.watchTimers = new Map();
+  }
+
+  /**
+   * Current command prefix (live from settings)
+   */
+  get prefix() {
+    return this.settings?.get('prefix') || process.env.PREFIX || '.';
   }
 
   /**
@@ -49,35 +166,236 @@ export class PluginManager {
     }
   }
 
+  /**
+   * Import and validate a plugin file without registering it
+   */
+  async importPlugin(filename) {
+    const pluginPath = path.join(PLUGINS_DIR, filename);
+    const plugin = await import(`file://${pluginPath}?t=${Date.now()}`);
+
+    if (!plugin.default || !plugin.default.name) {
+      throw new Error('Invalid plugin structure (missing default export or name)');
+    }
+
+    const { run, events } = plugin.default;
+
+    if (run !== undefined && typeof run !== 'function') {
+      throw new Error('Invalid plugin structure (run must be a function)');
+    }
+
+    if (events !== undefined) {
+      for (const [event, handler] of Object.entries(events)) {
+        if (!PLUGIN_EVENTS.includes(event)) {
+          throw new Error(`Unknown event "${event}" (supported: ${PLUGIN_EVENTS.join(', ')})`);
+        }
+        if (typeof handler !== 'function') {
+          throw new Error(`Handler for "${event}" must be a function`);
+        }
+      }
+    }
+
+    if (!run && !events) {
+      throw new Error('Invalid plugin structure (needs run or events)');
+    }
+
+    // ownerOnly is the legacy form of permission: 'owner'
+    const permission = plugin.default.permission ?? (plugin.default.ownerOnly ? 'owner' : 'user');
+    if (!PERMISSIONS.includes(permission)) {
+      throw new Error(`Unknown permission "${permission}" (supported: ${PERMISSIONS.join(', ')})`);
+    }
+
+    validateSchema(plugin.default);
+
+    return {
+      ...plugin.default,
+      permission,
+      cooldown: normalizeCooldown(plugin.default.cooldown),
+      filename,
+      enabled: true,
+      crashes: 0,
+      lastCrash: null,
+      loadedAt: new Date()
+    };
+  }
+
   /**
    * Load individual plugin from file
    */
   async loadPlugin(filename) {
     try {
-      const pluginPath = path.join(PLUGINS_DIR, filename);
-      const plugin = await import(`file://${pluginPath}?t=${Date.now()}`);
-
-      if (!plugin.default || !plugin.default.name) {
-        console.warn(chalk.yellow(`⚠️  Invalid plugin structure: ${filename}`));
-        return;
-      }
+      const pluginData = await this.importPlugin(filename);
 
-      const pluginData = {
-        ...plugin.default,
-        filename,
-        enabled: true,
-        crashes: 0,
-        lastCrash: null,
-        loadedAt: new Date()
-      };
-
-      this.plugins.set(plugin.default.name, pluginData);
-      console.log(chalk.blue(`   ✓ ${plugin.default.name}`));
+      this.plugins.set(pluginData.name, pluginData);
+      console.log(chalk.blue(`   ✓ ${pluginData.name}`));
     } catch (error) {
       console.error(chalk.red(`   ✗ Failed to load ${filename}:`), error.message);
     }
   }
 
+  /**
+   * Find the loaded plugin that came from a file
+   */
+  findPluginByFile(filename) {
+    for (const plugin of this.plugins.values()) {
+      if (plugin.filename === filename) return plugin;
+    }
+    return null;
+  }
+
+  /**
+   * Call a plugin's onUnload hook so it can clear timers and listeners
+   */
+  async unloadHook(plugin) {
+    if (typeof plugin?.onUnload !== 'function') return;
+
+    try {
+      await plugin.onUnload();
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️ onUnload failed for "${plugin.name}":`), error.message);
+    }
+  }
+
+  /**
+   * Command names (name + aliases) served by a set of plugins
+   */
+  getCommandNames(plugins = this.plugins.values()) {
+    const names = new Set();
+    for (const plugin of plugins) {
+      names.add(plugin.name);
+      (plugin.aliases || []).forEach(alias => names.add(alias));
+    }
+    return names;
+  }
+
+  /**
+   * Log which commands appeared or disappeared after a reload
+   */
+  logCommandDiff(before, after) {
+    const added = [...after].filter(name => !before.has(name));
+    const removed = [...before].filter(name => !after.has(name));
+
+    if (added.length > 0) {
+      console.log(chalk.green(`   ➕ Commands added: ${added.join(', ')}`));
+    }
+    if (removed.length > 0) {
+      console.log(chalk.yellow(`   ➖ Commands removed: ${removed.join(', ')}`));
+    }
+  }
+
+  /**
+   * Reload a single plugin file, keeping the old version live until the new one validates
+   */
+  async reloadFile(filename) {
+    const previous = this.findPluginByFile(filename);
+    const before = this.getCommandNames();
+
+    let next;
+    try {
+      next = await this.importPlugin(filename);
+    } catch (error) {
+      console.error(chalk.red(`❌ Reload of ${filename} failed, keeping previous version:`), error.message);
+      return false;
+    }
+
+    const conflict = this.plugins.get(next.name);
+    if (conflict && conflict.filename !== filename) {
+      console.error(chalk.red(`❌ Reload of ${filename} failed: "${next.name}" is already defined in ${conflict.filename}`));
+      return false;
+    }
+
+    if (previous) {
+      // Carry runtime state over to the new version
+      next.enabled = previous.enabled;
+      next.crashes = previous.crashes;
+      next.lastCrash = previous.lastCrash;
+
+      await this.unloadHook(previous);
+      if (previous.name !== next.name) {
+        this.plugins.delete(previous.name);
+      }
+
+      // Running cooldowns only carry over while their limits are unchanged
+      if (previous.name !== next.name || JSON.stringify(previous.cooldown) !== JSON.stringify(next.cooldown)) {
+        this.cooldowns.reset(previous.name);
+      }
+    }
+
+    this.plugins.set(next.name, next);
+    console.log(chalk.green(`🔄 ${previous ? 'Reloaded' : 'Loaded'} plugin "${next.name}" (${filename})`));
+
+    this.logCommandDiff(before, this.getCommandNames());
+    await this.syncPluginsToDatabase();
+    return true;
+  }
+
+  /**
+   * Unload the plugin that came from a deleted file
+   */
+  async unloadFile(filename) {
+    const plugin = this.findPluginByFile(filename);
+    if (!plugin) return false;
+
+    const before = this.getCommandNames();
+
+    await this.unloadHook(plugin);
+    this.plugins.delete(plugin.name);
+    this.cooldowns.reset(plugin.name);
+    console.log(chalk.yellow(`🗑️ Unloaded plugin "${plugin.name}" (${filename} removed)`));
+
+    this.logCommandDiff(before, this.getCommandNames());
+    await this.syncPluginsToDatabase();
+    return true;
+  }
+
+  /**
+   * Watch the plugins directory and reload files on add, change or delete
+   */
+  watchPlugins() {
+    if (this.watcher) return;
+
+    this.watcher = watch(PLUGINS_DIR, (eventType, filename) => {
+      if (!filename || !filename.endsWith('.js')) return;
+
+      // Editors fire several events per save
+      clearTimeout(this.watchTimers.get(filename));
+      this.watchTimers.set(filename, setTimeout(async () => {
+        this.watchTimers.delete(filename);
+
+        try {
+          const exists = await fs.access(path.join(PLUGINS_DIR, filename)).then(() => true, () => false);
+          if (exists) {
+            await this.reloadFile(filename);
+          } else {
+            await this.unloadFile(filename);
+          }
+        } catch (error) {
+          console.error(chalk.red(`❌ Hot-reload error for ${filename}:`), error);
+        }
+      }, WATCH_DEBOUNCE));
+    });
+
+    this.watcher.on('error', error => {
+      console.error(chalk.red('❌ Plugin watcher error:'), error.message);
+    });
+
+    console.log(chalk.blue(`👀 Watching ${PLUGINS_DIR} for plugin changes`));
+  }
+
+  /**
+   * Stop watching the plugins directory
+   */
+  stopWatching() {
+    if (!this.watcher) return;
+
+    this.watcher.close();
+    this.watcher = null;
+
+    for (const timer of this.watchTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.watchTimers.clear();
+  }
+
   /**
    * Sync all loaded plugins to MongoDB
    */
@@ -105,11 +423,16 @@ export class PluginManager {
           description: plugin.description || 'No description',
           category: plugin.category || 'general',
           aliases: plugin.aliases || [],
-          usage: plugin.usage || '',
+          usage: formatUsage(plugin).join('\n'),
+          params: describeParams(plugin),
           example: plugin.example || '',
           filename: plugin.filename,
-          ownerOnly: plugin.ownerOnly || false,
-          enabled: existing ? existing.enabled : true, // Preserve enabled state
+          permission: plugin.permission,
+          command: typeof plugin.run === 'function',
+          events: Object.keys(plugin.events || {}),
+          // Preserve enabled state, unless the file was removed and has come back
+          enabled: existing && !existing.orphaned ? existing.enabled : true,
+          orphaned: false,
           crashes: existing ? existing.crashes : 0,
           lastCrash: existing ? existing.lastCrash : null,
           updatedAt: new Date(),
@@ -123,16 +446,21 @@ export class PluginManager {
           added++;
         } else {
           // Existing plugin - update only if changed
-          const hasChanges = 
+          const hasChanges =
+            Boolean(existing.orphaned) ||
             existing.description !== pluginDoc.description ||
             existing.category !== pluginDoc.category ||
             JSON.stringify(existing.aliases) !== JSON.stringify(pluginDoc.aliases) ||
-            existing.usage !== pluginDoc.usage;
+            existing.usage !== pluginDoc.usage ||
+            existing.command !== pluginDoc.command ||
+            existing.permission !== pluginDoc.permission ||
+            JSON.stringify(existing.events) !== JSON.stringify(pluginDoc.events) ||
+            JSON.stringify(existing.params) !== JSON.stringify(pluginDoc.params);
 
           if (hasChanges) {
             await pluginsCol.updateOne(
               { name },
-              { $set: pluginDoc }
+              { $set: pluginDoc, $unset: { ownerOnly: '' } }
             );
             updated++;
           } else {
@@ -140,14 +468,14 @@ export class PluginManager {
           }
 
           // Update in-memory enabled state from database
-          plugin.enabled = existing.enabled;
+          plugin.enabled = pluginDoc.enabled;
         }
       }
 
       // Mark plugins in database that no longer exist in files
       const loadedNames = Array.from(this.plugins.keys());
       const orphanedPlugins = existingPlugins.filter(
-        p => !loadedNames.includes(p.name)
+        p => !loadedNames.includes(p.name) && !p.orphaned
       );
 
       if (orphanedPlugins.length > 0) {
@@ -178,13 +506,20 @@ export class PluginManager {
    */
   async reloadPlugins() {
     console.log(chalk.yellow('🔄 Reloading all plugins...'));
-    
-    // Clear current plugins
-    this.plugins.clear();
-    
-    // Reload from files
-    await this.loadPlugins();
-    
+
+    const files = (await fs.readdir(PLUGINS_DIR)).filter(f => f.endsWith('.js'));
+    const loadedFiles = new Set(Array.from(this.plugins.values(), p => p.filename));
+
+    // Swap each file in place so commands never vanish mid-reload
+    for (const file of files) {
+      await this.reloadFile(file);
+      loadedFiles.delete(file);
+    }
+
+    for (const file of loadedFiles) {
+      await this.unloadFile(file);
+    }
+
     console.log(chalk.green('✅ Plugins reloaded'));
   }
 
@@ -199,16 +534,13 @@ export class PluginManager {
     }
 
     console.log(chalk.blue(`🔄 Reloading plugin: ${pluginName}`));
-    
-    // Remove from memory
-    this.plugins.delete(pluginName);
-    
-    // Reload from file
-    await this.loadPlugin(plugin.filename);
-    
-    // Sync to database
-    await this.syncPluginsToDatabase();
-    
+
+    // Old version stays registered if the new one fails to load
+    const reloaded = await this.reloadFile(plugin.filename);
+    if (!reloaded) {
+      throw new Error(`Plugin "${pluginName}" failed to reload`);
+    }
+
     console.log(chalk.green(`✅ Plugin "${pluginName}" reloaded`));
   }
 
@@ -218,87 +550,463 @@ export class PluginManager {
   async handleMessage(msg, sock) {
     if (!msg.message || msg.key.fromMe) return;
 
+    // sender is the chat; actor is the person who wrote the message
+    const sender = msg.key.remoteJid;
+    const actor = this.resolveActor(msg);
+
+    // Banned users and groups are dropped before anything else sees them
+    if (await this.services.bans?.intercept(msg, sock, actor)) return;
+
     const text = this.extractMessageText(msg);
-    if (!text || !text.startsWith(this.prefix)) return;
+    const chatConfig = await this.getChatConfig(sender);
 
-    const [commandName, ...args] = text.slice(this.prefix.length).trim().split(/\s+/);
-    const sender = msg.key.remoteJid;
+    // Moderation filters run before any command is parsed
+    if (await this.runFilters({ msg, sock, text, chatConfig, actor })) return;
+
+    // Passive listeners see every message without holding up commands
+    this.dispatchEvent('message', sock, { chatId: sender, data: msg, msg, text, chatConfig, actor })
+      .catch(error => console.error(chalk.red('❌ Message listeners failed:'), error));
+
+    const prefix = chatConfig?.prefix || this.prefix;
+    if (!text || !text.startsWith(prefix)) return;
+
+    const body = text.slice(prefix.length).trim();
+    const [commandName, ...args] = body.split(/\s+/);
+    // Argument text as typed, for schemas with `rest` params
+    const argText = body.slice(commandName.length).trim();
+
+    // Don't spend queue slots on unknown commands
+    if (!this.findCommand(commandName)) return;
 
-    // Rate limiting
-    if (!this.rateLimiter.checkLimit(sender)) {
+    this.services.activity?.trackCommand(actor.id);
+
+    // Rate limiting per person and per chat; sudo and owner are exempt
+    if (compareRoles(this.getRole(actor.id), 'sudo') < 0) {
+      const limit = await this.rateLimiter.consume({ user: actor.id, chat: sender });
+
+      if (!limit.allowed) {
+        if (limit.notice) {
+          await sock.sendMessage(sender, {
+            text: this.getMessage(null, limit.notice, { remaining: formatDuration(limit.retryAfter) })
+          });
+        }
+        return;
+      }
+    }
+
+    // Queue per chat: FIFO within a chat, chats run in parallel
+    const { accepted, dropped } = this.scheduler.enqueue(sender, {
+      commandName, args, argText, msg, sock, sender, actor, prefix, chatConfig
+    });
+
+    if (!accepted) {
       await sock.sendMessage(sender, {
-        text: '⚠️ You are sending commands too fast. Please wait a moment.'
+        text: this.getMessage(null, 'busy')
       });
-      return;
     }
 
-    // Add to queue
-    this.commandQueue.push({ commandName, args, msg, sock, sender });
-    this.processQueue();
+    // A command evicted to make room is answered too, quoted so its sender knows
+    if (dropped) {
+      await sock.sendMessage(dropped.sender, {
+        text: this.getMessage(null, 'busy')
+      }, { quoted: dropped.msg }).catch(error => {
+        console.warn(chalk.yellow('⚠️ Could not notify dropped command:'), error.message);
+      });
+    }
   }
 
   /**
-   * Process command queue
+   * Register a message filter ({ name, handle(context) }).
+   * A filter returns true when it consumed the message.
    */
-  async processQueue() {
-    if (this.isProcessing || this.commandQueue.length === 0) return;
+  addFilter(filter) {
+    this.filters.push(filter);
+  }
 
-    this.isProcessing = true;
+  /**
+   * Run message filters in order, stopping at the first that consumes the message
+   */
+  async runFilters(context) {
+    for (const filter of this.filters) {
+      try {
+        if (await filter.handle(context)) return true;
+      } catch (error) {
+        console.error(chalk.red(`❌ Message filter "${filter.name}" failed:`), error);
+      }
+    }
+    return false;
+  }
 
-    while (this.commandQueue.length > 0) {
-      const command = this.commandQueue.shift();
-      await this.executeCommand(command);
+  /**
+   * Effective per-chat config, or null when unavailable
+   */
+  async getChatConfig(chatId) {
+    if (!this.groupConfig) return null;
+
+    try {
+      return await this.groupConfig.resolve(chatId);
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️ Could not load config for ${chatId}:`), error.message);
+      return null;
     }
+  }
 
-    this.isProcessing = false;
+  /**
+   * Check per-chat plugin disables and allowlists
+   */
+  isEnabledInChat(plugin, chatConfig) {
+    if (!chatConfig || plugin.alwaysEnabled || plugin.permission === 'owner') return true;
+
+    if (chatConfig.disabledPlugins.includes(plugin.name)) return false;
+
+    const allowed = chatConfig.enabledPlugins;
+    return allowed.length === 0 || allowed.includes(plugin.name);
+  }
+
+  /**
+   * Get command queue metrics
+   */
+  getSchedulerStats() {
+    return this.scheduler.getStats();
+  }
+
+  /**
+   * Get rate limiter counters
+   */
+  getRateLimitStats() {
+    return this.rateLimiter.getStats();
+  }
+
+  /**
+   * Get outbound dispatcher counters (null when sends are not queued)
+   */
+  getOutboundStats() {
+    return this.services.outbound?.getStats() || null;
   }
 
   /**
    * Execute command with timeout and error handling
    */
-  async executeCommand({ commandName, args, msg, sock, sender }) {
-    const plugin = this.findPlugin(commandName);
+  async executeCommand({ commandName, args, argText = args.join(' '), msg, sock, sender, actor = this.resolveActor(msg), prefix = this.prefix, chatConfig = null }) {
+    const plugin = this.findCommand(commandName);
 
     if (!plugin) return;
 
     if (!plugin.enabled) {
       await sock.sendMessage(sender, {
-        text: `⚠️ Plugin "${plugin.name}" is currently disabled.`
+        text: this.getMessage(plugin, 'disabled')
       });
       return;
     }
 
-    // Check owner-only commands
-    if (plugin.ownerOnly && !this.isOwner(sender)) {
+    if (!this.isEnabledInChat(plugin, chatConfig)) {
       await sock.sendMessage(sender, {
-        text: '❌ This command is only available to the bot owner.'
+        text: this.getMessage(plugin, 'disabledInChat')
       });
       return;
     }
 
+    // Check declarative permission flags
+    const denied = await this.checkPermissions(plugin, msg, sock, sender, actor);
+    if (denied) {
+      await sock.sendMessage(sender, {
+        text: this.getMessage(plugin, denied)
+      });
+      return;
+    }
+
+    // Parse declared arguments before running
+    let params = {};
+    if (hasSchema(plugin)) {
+      try {
+        params = parseArgs(plugin, argText, msg);
+      } catch (error) {
+        if (!(error instanceof ArgumentError)) throw error;
+
+        await sock.sendMessage(sender, {
+          text: this.buildUsageError(plugin, error, args[0], prefix)
+        });
+        return;
+      }
+    }
+
+    // Cooldowns start when a run is accepted; sudo and owner skip them
+    if (plugin.cooldown && compareRoles(this.getRole(actor.id), 'sudo') < 0) {
+      const remaining = this.cooldowns.getRemaining(plugin.name, plugin.cooldown, actor);
+      if (remaining > 0) {
+        await sock.sendMessage(sender, {
+          text: this.getMessage(plugin, 'cooldown', { remaining: formatDuration(remaining) })
+        });
+        return;
+      }
+      this.cooldowns.start(plugin.name, plugin.cooldown, actor);
+    }
+
+    const job = this.startJob(plugin, sender, actor.id);
+    const { signal } = job.controller;
+
     try {
       const db = this.mongoManager.getDB();
-      const timeout = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Plugin timeout')), PLUGIN_TIMEOUT)
-      );
 
       await Promise.race([
-        plugin.run({ msg, args, sock, db, prefix: this.prefix }),
-        timeout
+        plugin.run({
+          msg,
+          args,
+          params,
+          sock: guardSocket(sock, signal),
+          db: guardDb(db, signal),
+          signal,
+          jobId: job.id,
+          actor,
+          prefix,
+          chatConfig,
+          services: this.services
+        }),
+        abortPromise(signal)
       ]);
 
       // Update usage stats
       await this.updatePluginStats(plugin.name);
 
     } catch (error) {
-      console.error(chalk.red(`❌ Plugin "${plugin.name}" error:`), error);
-      
+      await this.handleRunError(plugin, job, error, sock, sender);
+    } finally {
+      clearTimeout(job.timer);
+      this.jobs.delete(job.id);
+    }
+  }
+
+  /**
+   * Run event handlers of every enabled plugin that declares one.
+   * Handlers run in parallel, each with the plugin's timeout and crash tracking.
+   */
+  async dispatchEvent(event, sock, { chatId = null, chatConfig, ...context } = {}) {
+    const handlers = Array.from(this.plugins.values()).filter(p => p.enabled && p.events?.[event]);
+    if (handlers.length === 0) return;
+
+    if (chatId && chatConfig === undefined) {
+      chatConfig = await this.getChatConfig(chatId);
+    }
+
+    await Promise.all(handlers
+      .filter(plugin => this.isEnabledInChat(plugin, chatConfig || null))
+      .map(plugin => this.runEventHandler(plugin, event, sock, { chatId, chatConfig: chatConfig || null, ...context })));
+  }
+
+  /**
+   * Run one plugin event handler as a job
+   */
+  async runEventHandler(plugin, event, sock, context) {
+    const job = this.startJob(plugin, context.chatId, null, event);
+    const { signal } = job.controller;
+
+    try {
+      const db = this.mongoManager.getDB();
+
+      await Promise.race([
+        plugin.events[event].call(plugin, {
+          ...context,
+          event,
+          sock: guardSocket(sock, signal),
+          db: guardDb(db, signal),
+          signal,
+          jobId: job.id,
+          services: this.services
+        }),
+        abortPromise(signal)
+      ]);
+    } catch (error) {
+      if (error instanceof PluginAbortError && error.reason !== 'timeout') return;
+
+      console.error(chalk.red(`❌ Plugin "${plugin.name}" ${event} handler error (job ${job.id}):`), error);
       this.trackCrash(plugin.name);
-      
-      await sock.sendMessage(sender, {
-        text: `❌ Error executing command: ${error.message}`
-      });
+    } finally {
+      clearTimeout(job.timer);
+      this.jobs.delete(job.id);
+    }
+  }
+
+  /**
+   * Register a running job with its AbortController and timeout
+   */
+  startJob(plugin, chat, user, event = null) {
+    const controller = new AbortController();
+    const timeout = plugin.timeout || PLUGIN_TIMEOUT;
+
+    const job = {
+      id: crypto.randomBytes(3).toString('hex'),
+      plugin: plugin.name,
+      event,
+      chat,
+      user,
+      startedAt: Date.now(),
+      timeout,
+      controller,
+      timer: setTimeout(() => {
+        controller.abort(new PluginAbortError('timeout', `Plugin timeout after ${timeout / 1000}s`));
+      }, timeout)
+    };
+
+    this.jobs.set(job.id, job);
+    return job;
+  }
+
+  /**
+   * Report a failed, timed-out or cancelled run
+   */
+  async handleRunError(plugin, job, error, sock, sender) {
+    if (error instanceof PluginAbortError) {
+      if (error.reason === 'shutdown') return;
+
+      if (error.reason === 'cancelled') {
+        console.log(chalk.yellow(`⛔ Job ${job.id} (${plugin.name}) cancelled`));
+        await sock.sendMessage(sender, {
+          text: `⛔ Command "${plugin.name}" was cancelled.`
+        }).catch(() => {});
+        return;
+      }
+    }
+
+    console.error(chalk.red(`❌ Plugin "${plugin.name}" error (job ${job.id}):`), error);
+
+    this.trackCrash(plugin.name);
+
+    await sock.sendMessage(sender, {
+      text: `❌ Error executing command: ${error.message}`
+    }).catch(() => {});
+  }
+
+  /**
+   * Cancel a running job by id
+   */
+  cancelJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return false;
+
+    job.controller.abort(new PluginAbortError('cancelled', `Job ${jobId} cancelled`));
+    return true;
+  }
+
+  /**
+   * Abort every running job (used on shutdown)
+   */
+  abortAll(reason = 'shutdown') {
+    for (const job of this.jobs.values()) {
+      job.controller.abort(new PluginAbortError(reason));
+    }
+  }
+
+  /**
+   * List running jobs
+   */
+  getRunningJobs() {
+    return Array.from(this.jobs.values()).map(({ id, plugin, event, chat, user, startedAt, timeout }) => ({
+      id,
+      plugin,
+      event,
+      chat,
+      user,
+      startedAt,
+      runningMs: Date.now() - startedAt,
+      timeout
+    }));
+  }
+
+  /**
+   * Check permission, groupOnly, privateOnly, adminOnly and botAdminRequired.
+   * Returns the message key of the first failed check, or null.
+   */
+  async checkPermissions(plugin, msg, sock, sender, actor = this.resolveActor(msg)) {
+    const isGroup = isGroupJid(sender);
+
+    if (!this.hasPermission(plugin, actor.id)) {
+      return plugin.permission === 'owner' ? 'ownerOnly' : 'permission';
+    }
+    if (plugin.groupOnly && !isGroup) return 'groupOnly';
+    if (plugin.privateOnly && isGroup) return 'privateOnly';
+
+    if (!isGroup || !(plugin.adminOnly || plugin.botAdminRequired)) return null;
+
+    const metadata = await this.getGroupMetadata(sock, sender);
+    if (!metadata) return plugin.adminOnly ? 'adminOnly' : 'botAdminRequired';
+
+    // Owner counts as admin everywhere
+    if (plugin.adminOnly && !this.isOwner(actor.id) &&
+        ![actor.participant, actor.pn, actor.lid].some(id => this.isGroupAdmin(metadata, id))) {
+      return 'adminOnly';
+    }
+
+    if (plugin.botAdminRequired) {
+      const botIds = [sock.user?.id, sock.user?.lid].filter(Boolean);
+      if (!botIds.some(id => this.isGroupAdmin(metadata, id))) {
+        return 'botAdminRequired';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Fetch group metadata with a short cache
+   */
+  async getGroupMetadata(sock, groupJid) {
+    const cached = this.groupMetadataCache.get(groupJid);
+    if (cached) return cached;
+
+    try {
+      const metadata = await sock.groupMetadata(groupJid);
+      this.groupMetadataCache.set(groupJid, metadata);
+      this.services.identity?.learnFromGroup(metadata);
+      return metadata;
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️ Failed to fetch group metadata for ${groupJid}:`), error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Drop cached metadata after membership or admin changes
+   */
+  invalidateGroupMetadata(groupJid) {
+    this.groupMetadataCache.del(groupJid);
+  }
+
+  /**
+   * Check if a JID is admin in group metadata
+   */
+  isGroupAdmin(metadata, jid) {
+    if (!jid) return false;
+    const target = normalizeJid(jid);
+
+    const participant = metadata.participants?.find(p =>
+      [p.id, p.jid, p.lid].filter(Boolean).some(id => normalizeJid(id) === target)
+    );
+
+    return participant?.admin === 'admin' || participant?.admin === 'superadmin';
+  }
+
+  /**
+   * Resolve a rejection message, plugin overrides first
+   */
+  getMessage(plugin, key, vars = {}) {
+    const values = { plugin: plugin?.name || '', permission: plugin?.permission || '', ...vars };
+    const template = plugin?.messages?.[key] || this.messages[key];
+    return template.replace(/\{(\w+)\}/g, (match, name) => name in values ? values[name] : match);
+  }
+
+  /**
+   * Build usage error reply from the plugin schema
+   */
+  buildUsageError(plugin, error, subcommand, prefix = this.prefix) {
+    let lines = formatUsage(plugin);
+
+    // Only show the subcommand that failed
+    if (plugin.subcommands && plugin.subcommands[subcommand?.toLowerCase()]) {
+      lines = lines.filter(line => line.split(' ')[0] === subcommand.toLowerCase());
     }
+
+    const usage = lines.map(line => `${prefix}${plugin.name} ${line}`).join('\n');
+    return `❌ ${error.message}\n\n*Usage:*\n${usage}`;
   }
 
   /**
@@ -375,6 +1083,14 @@ export class PluginManager {
     return null;
   }
 
+  /**
+   * Find a plugin that can run as a command (event-only plugins can't)
+   */
+  findCommand(name) {
+    const plugin = this.findPlugin(name);
+    return typeof plugin?.run === 'function' ? plugin : null;
+  }
+
   /**
    * Extract text from message
    */
@@ -389,11 +1105,53 @@ export class PluginManager {
   }
 
   /**
-   * Check if user is owner
+   * Actor of a message: { chat, isGroup, participant, pn, lid, id }
+   */
+  resolveActor(msg) {
+    const identity = this.services.identity;
+    return identity ? identity.resolve(msg) : actorFromKey(msg.key);
+  }
+
+  /**
+   * A JID and its known phone/LID counterpart
+   */
+  getAliases(jid) {
+    if (!jid) return [];
+    return this.services.identity?.aliases(jid) || [normalizeJid(jid)];
+  }
+
+  /**
+   * Check if user is owner (by phone JID or LID)
    */
   isOwner(jid) {
-    const ownerNumber = process.env.OWNER_NUMBER;
-    return jid.includes(ownerNumber);
+    const ownerNumber = this.settings ? this.settings.get('owner') : process.env.OWNER_NUMBER;
+
+    return this.getAliases(jid).some(id =>
+      this.roles ? this.roles.isOwner(id) : isOwner(id, ownerNumber)
+    );
+  }
+
+  /**
+   * Effective role of a user: banned, user, moderator, sudo or owner
+   */
+  getRole(jid) {
+    const ids = this.getAliases(jid);
+    if (ids.some(id => this.services.bans?.getBan(id))) return 'banned';
+
+    return ids
+      .map(id => this.roles ? this.roles.getRole(id) : (this.isOwner(id) ? 'owner' : 'user'))
+      .reduce((best, role) => compareRoles(role, best) > 0 ? role : best, 'user');
+  }
+
+  /**
+   * Check a plugin's permission level, or a per-plugin grant
+   */
+  hasPermission(plugin, jid) {
+    const role = this.getRole(jid);
+    if (role === 'banned') return false;
+
+    return compareRoles(role, plugin.permission || 'user') >= 0 ||
+      this.getAliases(jid).some(id => this.roles?.hasGrant(id, plugin.name));
   }
 
   /**
@@ -0,0 +1,171 @@
+import chalk from 'chalk';
+import { normalizeJid } from '../utils/helpers.js';
+import { toJid } from '../utils/argParser.js';
+
+/**
+ * Roles from least to most trusted. `banned` comes from the ban list,
+ * the others are stored in `roles`.
+ */
+export const ROLES = ['banned', 'user', 'moderator', 'sudo', 'owner'];
+
+/**
+ * Levels a plugin can require with `permission`
+ */
+export const PERMISSIONS = ['user', 'moderator', 'sudo', 'owner'];
+
+/**
+ * Thrown when a grant or revoke is not allowed
+ */
+export class RoleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RoleError';
+  }
+}
+
+/**
+ * Compare two roles (negative when `a` is below `b`)
+ */
+export function compareRoles(a, b) {
+  return ROLES.indexOf(a) - ROLES.indexOf(b);
+}
+
+/**
+ * User roles and per-plugin grants, stored in `roles` and cached in memory.
+ * The `owner` setting is always an owner; more owners can be granted.
+ * JIDs are matched exactly (device suffix stripped), never by substring.
+ */
+export class RoleManager {
+  constructor(mongoManager, settings) {
+    this.mongoManager = mongoManager;
+    this.settings = settings;
+    this.entries = new Map();
+  }
+
+  /**
+   * Create indexes and load all role documents
+   */
+  async initialize() {
+    const collection = this.collection();
+    await collection.createIndex({ jid: 1 }, { unique: true });
+
+    for (const entry of await collection.find({}).toArray()) {
+      this.entries.set(entry.jid, entry);
+    }
+
+    console.log(chalk.green(`✅ Roles loaded (${this.entries.size} assigned)`));
+  }
+
+  /**
+   * Roles collection
+   */
+  collection() {
+    return this.mongoManager.getDB().collection('roles');
+  }
+
+  /**
+   * JID of the owner from the `owner` setting, normalized like role targets
+   * (+, spaces and JID suffixes are accepted)
+   */
+  getPrimaryOwner() {
+    const owner = this.settings?.get('owner') || process.env.OWNER_NUMBER;
+    const jid = owner ? toJid(String(owner).trim()) : null;
+    return jid ? normalizeJid(jid) : null;
+  }
+
+  /**
+   * Stored role of a JID (user when none is assigned)
+   */
+  getRole(jid) {
+    if (!jid) return 'user';
+    jid = normalizeJid(jid);
+
+    if (jid === this.getPrimaryOwner()) return 'owner';
+    return this.entries.get(jid)?.role || 'user';
+  }
+
+  /**
+   * Check if a JID has at least the given role
+   */
+  hasRole(jid, role) {
+    return compareRoles(this.getRole(jid), role) >= 0;
+  }
+
+  /**
+   * Check if a JID is an owner
+   */
+  isOwner(jid) {
+    return this.getRole(jid) === 'owner';
+  }
+
+  /**
+   * Check if a JID was granted a specific plugin
+   */
+  hasGrant(jid, pluginName) {
+    return Boolean(jid && this.entries.get(normalizeJid(jid))?.grants?.includes(pluginName));
+  }
+
+  /**
+   * Assign a role. `user` removes the assignment (grants are kept).
+   */
+  async setRole(jid, role, grantedBy = null) {
+    jid = normalizeJid(jid);
+
+    if (!PERMISSIONS.includes(role)) {
+      throw new RoleError(`Role must be one of: ${PERMISSIONS.join(', ')}`);
+    }
+    if (jid === this.getPrimaryOwner() && role !== 'owner') {
+      throw new RoleError('The primary owner is set with setowner and can\'t be demoted');
+    }
+
+    return await this.update(jid, { role, grantedBy, updatedAt: new Date() });
+  }
+
+  /**
+   * Add or remove a per-plugin grant
+   */
+  async setGrant(jid, pluginName, granted, grantedBy = null) {
+    jid = normalizeJid(jid);
+    const grants = new Set(this.entries.get(jid)?.grants || []);
+
+    if (granted) {
+      grants.add(pluginName);
+    } else {
+      grants.delete(pluginName);
+    }
+
+    return await this.update(jid, { grants: [...grants], grantedBy, updatedAt: new Date() });
+  }
+
+  /**
+   * Apply changes to a role document, dropping it once it holds nothing
+   */
+  async update(jid, changes) {
+    const entry = { role: 'user', grants: [], ...this.entries.get(jid), ...changes, jid };
+
+    if (entry.role === 'user' && entry.grants.length === 0) {
+      await this.collection().deleteOne({ jid });
+      this.entries.delete(jid);
+    } else {
+      await this.collection().replaceOne({ jid }, entry, { upsert: true });
+      this.entries.set(jid, entry);
+    }
+
+    console.log(chalk.cyan(`🔑 ${jid}: role ${entry.role}${entry.grants.length ? `, grants ${entry.grants.join(', ')}` : ''}`));
+    return entry;
+  }
+
+  /**
+   * All assigned roles, most trusted first, including the primary owner
+   */
+  list() {
+    const entries = [...this.entries.values()];
+    const owner = this.getPrimaryOwner();
+
+    if (owner && !this.entries.has(owner)) {
+      entries.push({ jid: owner, role: 'owner', grants: [], primary: true });
+    }
+
+    return entries.sort((a, b) => compareRoles(b.role, a.role));
+  }
+}
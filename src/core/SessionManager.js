@@ -1,17 +1,45 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { useMultiFileAuthState } from '@whiskeysockets/baileys';
-import { File } from 'megajs';
+import { useMultiFileAuthState, BufferJSON } from '@whiskeysockets/baileys';
 import chalk from 'chalk';
+import {
+  useMongoAuthState,
+  hasMongoAuthState,
+  importSessionDir,
+  clearMongoAuthState
+} from './MongoAuthState.js';
+import {
+  resolveSessionProvider,
+  validateCreds,
+  SessionProviderError,
+  SESSION_PROVIDERS
+} from './SessionProviders.js';
+import { SessionSync } from './SessionSync.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 export class SessionManager {
-  constructor(config) {
+  constructor(config, mongoManager = null) {
     this.config = config;
+    this.mongoManager = mongoManager;
     this.sessionDir = path.join(__dirname, '../../sessions');
     this.credsPath = path.join(this.sessionDir, 'creds.json');
+    this.store = (config?.SESSION_STORE || 'file').toLowerCase();
+    this.sessionName = config?.SESSION_NAME || 'default';
+    this.authState = null;
+    this.sync = mongoManager ? new SessionSync(this, mongoManager, config || {}) : null;
+
+    if (this.store === 'mongo' && !mongoManager) {
+      throw new Error('SESSION_STORE=mongo requires a MongoManager');
+    }
+  }
+
+  /**
+   * Check if auth state is kept in MongoDB
+   */
+  usesMongo() {
+    return this.store === 'mongo';
   }
 
   async initialize() {
@@ -19,14 +47,19 @@ export class SessionManager {
       // Create session directory
       await fs.mkdir(this.sessionDir, { recursive: true });
       console.log(chalk.blue('📁 Session directory ready'));
-      
+
+      const mongoSessionExists = this.usesMongo() &&
+        await hasMongoAuthState(this.mongoManager, this.sessionName);
+
       // Check if session already exists
-      const sessionExists = await this.sessionExists();
+      const sessionExists = mongoSessionExists || await this.sessionExists();
       
-      if (sessionExists) {
+      if (mongoSessionExists) {
+        console.log(chalk.green(`✅ Existing MongoDB session "${this.sessionName}" found, will use it`));
+      } else if (sessionExists) {
         console.log(chalk.green('✅ Existing session found, will use it'));
       } else if (this.config?.SESSION_ID) {
-        console.log(chalk.yellow('📥 No existing session, attempting Mega download...'));
+        console.log(chalk.yellow('📥 No existing session, attempting SESSION_ID restore...'));
         const downloaded = await this.downloadSession();
         
         if (!downloaded) {
@@ -35,10 +68,21 @@ export class SessionManager {
       } else {
         console.log(chalk.yellow('⚠️ No SESSION_ID provided, will use QR code authentication'));
       }
+
+      // Move whatever landed in sessions/ into MongoDB once
+      if (this.usesMongo()) {
+        await importSessionDir(this.mongoManager, this.sessionDir, this.sessionName);
+      }
       
     } catch (error) {
       console.log(chalk.yellow('⚠️ Session initialization warning:'), error.message);
     }
+
+    try {
+      await this.sync?.initialize();
+    } catch (error) {
+      console.log(chalk.yellow('⚠️ Session initialization warning:'), error.message);
+    }
   }
 
   async sessionExists() {
@@ -58,86 +102,22 @@ export class SessionManager {
       return false;
     }
 
-    // Parse SESSION_ID format: BotName~fileId#key
-    if (!sessionId.includes('~')) {
-      console.log(chalk.red('❌ SESSION_ID missing ~ separator'));
-      console.log(chalk.yellow(`📝 Format should be: BotName~fileId#key`));
-      console.log(chalk.yellow(`📝 Got: ${sessionId}`));
-      return false;
-    }
+    let provider = null;
 
     try {
       console.log(chalk.blue(`🔍 Parsing SESSION_ID...`));
-      
-      const parts = sessionId.split('~');
-      if (parts.length !== 2) {
-        throw new Error(`SESSION_ID should have exactly one ~ separator, got ${parts.length - 1}`);
-      }
-
-      const [botName, fileData] = parts;
-      console.log(chalk.cyan(`  Bot Name: ${botName}`));
-      console.log(chalk.cyan(`  File Data: ${fileData}`));
-
-      if (!fileData || !fileData.includes('#')) {
-        throw new Error(`File data missing # separator. Got: ${fileData}`);
-      }
-
-      const fileParts = fileData.split('#');
-      if (fileParts.length !== 2) {
-        throw new Error(`File data should have exactly one # separator, got ${fileParts.length - 1}`);
-      }
-
-      const [fileId, key] = fileParts;
-      
-      console.log(chalk.cyan(`  File ID: ${fileId} (${fileId.length} chars)`));
-      console.log(chalk.cyan(`  Key: ${key.substring(0, 20)}... (${key.length} chars)`));
 
-      // Validate lengths (be more lenient)
-      if (!fileId || fileId.length < 6) {
-        throw new Error(`File ID too short: "${fileId}" (${fileId.length} chars, need at least 6)`);
-      }
-
-      if (!key || key.length < 12) {
-        throw new Error(`Key too short: "${key}" (${key.length} chars, need at least 12)`);
-      }
+      provider = resolveSessionProvider(sessionId, { mongoManager: this.mongoManager });
+      provider.validate();
 
       console.log(chalk.green('✅ SESSION_ID format valid'));
-      console.log(chalk.yellow('📥 Downloading from Mega.nz...'));
-      
-      const megaUrl = `https://mega.nz/file/${fileId}#${key}`;
-      console.log(chalk.cyan(`🔗 URL: ${megaUrl}`));
-      
-      const file = File.fromURL(megaUrl);
-
-      const data = await new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          reject(new Error('Download timeout after 60 seconds'));
-        }, 60000);
-
-        file.download((error, downloadedData) => {
-          clearTimeout(timeout);
-          if (error) {
-            reject(new Error(`Mega download failed: ${error.message}`));
-          } else {
-            resolve(downloadedData);
-          }
-        });
-      });
-      
-      if (!data || data.length === 0) {
-        throw new Error('Downloaded session data is empty');
-      }
+      console.log(chalk.yellow(`📥 Restoring session from ${provider.describe()}...`));
 
-      console.log(chalk.cyan(`📦 Downloaded ${(data.length / 1024).toFixed(2)}KB`));
+      const data = await provider.download();
+      validateCreds(data, provider.name);
 
-      // Validate JSON
-      let parsedData;
-      try {
-        parsedData = JSON.parse(data);
-        console.log(chalk.cyan(`✅ Valid JSON format`));
-      } catch (parseError) {
-        throw new Error(`Downloaded data is not valid JSON: ${parseError.message}`);
-      }
+      console.log(chalk.cyan(`📦 Downloaded ${(data.length / 1024).toFixed(2)}KB`));
+      console.log(chalk.cyan(`✅ Valid creds.json format`));
 
       await fs.writeFile(this.credsPath, data);
       console.log(chalk.green('✅ Session file saved successfully'));
@@ -145,21 +125,73 @@ export class SessionManager {
 
     } catch (error) {
       console.log(chalk.red('❌ Session download failed:'));
-      console.log(chalk.red(`   ${error.message}`));
+
+      if (error instanceof SessionProviderError) {
+        console.log(chalk.red(`   [${error.provider || 'session'}:${error.code}] ${error.message}`));
+      } else {
+        console.log(chalk.red(`   ${error.message}`));
+      }
+
+      const tips = provider ? provider.troubleshooting() : [
+        `Supported formats: ${SESSION_PROVIDERS.map(p => `${p.scheme}:...`).join(', ')} or BotName~fileId#key`
+      ];
+
       console.log(chalk.yellow('💡 Troubleshooting tips:'));
-      console.log(chalk.yellow('   1. Verify SESSION_ID is correct: BotName~fileId#key'));
-      console.log(chalk.yellow('   2. Check if Mega link still works: https://mega.nz/file/fileId#key'));
-      console.log(chalk.yellow('   3. Ensure creds.json was properly uploaded to Mega'));
-      console.log(chalk.yellow('   4. Will proceed with QR code authentication'));
+      [...tips, 'Will proceed with QR code authentication'].forEach((tip, i) => {
+        console.log(chalk.yellow(`   ${i + 1}. ${tip}`));
+      });
       return false;
     }
   }
 
   async getAuthState() {
-    return await useMultiFileAuthState(this.sessionDir);
+    const authState = this.usesMongo()
+      ? await useMongoAuthState(this.mongoManager, this.sessionName)
+      : await useMultiFileAuthState(this.sessionDir);
+
+    this.authState = authState.state;
+    return authState;
+  }
+
+  /**
+   * Serialize the live creds as creds.json contents
+   */
+  exportCreds() {
+    if (!this.authState) {
+      throw new Error('Auth state not loaded yet');
+    }
+    return JSON.stringify(this.authState.creds, BufferJSON.replacer);
+  }
+
+  /**
+   * Called after creds were saved locally
+   */
+  onCredsUpdated() {
+    this.sync?.schedule();
+  }
+
+  /**
+   * Upload the current creds now and return a SESSION_ID that restores them.
+   * Without a usable sync target the creds are returned inline as base64.
+   */
+  async createSessionId({ force = true } = {}) {
+    if (!this.sync) {
+      return `base64:${Buffer.from(this.exportCreds()).toString('base64')}`;
+    }
+
+    return await this.sync.push({ force, target: this.sync.exportTarget() });
   }
 
   async cleanSession() {
+    if (this.usesMongo()) {
+      try {
+        const removed = await clearMongoAuthState(this.mongoManager, this.sessionName);
+        console.log(chalk.yellow(`🗑️ Removed ${removed} session documents from MongoDB`));
+      } catch (error) {
+        console.log(chalk.yellow('⚠️ Could not clean MongoDB session:'), error.message);
+      }
+    }
+
     try {
       const files = await fs.readdir(this.sessionDir);
       for (const file of files) {
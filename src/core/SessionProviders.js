@@ -0,0 +1,486 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { File, Storage } from 'megajs';
+import { GridFSBucket } from 'mongodb';
+
+const DOWNLOAD_TIMEOUT = 60000;
+const GRIDFS_BUCKET = 'sessions';
+const GRIDFS_KEEP_REVISIONS = 5;
+
+/**
+ * Structured error raised by session providers
+ */
+export class SessionProviderError extends Error {
+  constructor(provider, code, message, details = {}) {
+    super(message);
+    this.name = 'SessionProviderError';
+    this.provider = provider;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      provider: this.provider,
+      code: this.code,
+      message: this.message,
+      details: this.details
+    };
+  }
+}
+
+/**
+ * Base class for SESSION_ID providers.
+ * Subclasses declare a scheme, parse the SESSION_ID in validate()
+ * and return the raw creds.json contents from download().
+ */
+export class SessionProvider {
+  static scheme = null;
+
+  /**
+   * Check if this provider handles a SESSION_ID
+   */
+  static matches(sessionId) {
+    return sessionId.startsWith(`${this.scheme}:`);
+  }
+
+  constructor(sessionId, deps = {}) {
+    this.sessionId = sessionId;
+    this.deps = deps;
+    this.name = this.constructor.scheme;
+  }
+
+  /**
+   * SESSION_ID with the scheme prefix removed
+   */
+  get payload() {
+    return this.sessionId.slice(this.name.length + 1);
+  }
+
+  /**
+   * Raise a structured provider error
+   */
+  fail(code, message, details) {
+    throw new SessionProviderError(this.name, code, message, details);
+  }
+
+  /**
+   * Validate the SESSION_ID, throwing SessionProviderError when invalid
+   */
+  validate() {
+    throw new Error(`${this.constructor.name} must implement validate()`);
+  }
+
+  /**
+   * Fetch the raw creds.json contents
+   */
+  async download() {
+    throw new Error(`${this.constructor.name} must implement download()`);
+  }
+
+  /**
+   * Store creds.json contents and return the SESSION_ID that restores them.
+   * meta carries { version, instanceId } for providers that can keep it.
+   */
+  async upload(data, meta = {}) {
+    this.fail('UPLOAD_UNSUPPORTED', `The ${this.name} provider cannot store sessions`);
+  }
+
+  /**
+   * Check if upload() has what it needs (credentials, connections)
+   */
+  canUpload() {
+    return true;
+  }
+
+  /**
+   * Human-readable description for logs (no secrets)
+   */
+  describe() {
+    return this.name;
+  }
+
+  /**
+   * Troubleshooting tips printed when restore fails
+   */
+  troubleshooting() {
+    return [];
+  }
+}
+
+/**
+ * Mega.nz provider: `mega:fileId#key` or legacy `BotName~fileId#key`
+ */
+export class MegaSessionProvider extends SessionProvider {
+  static scheme = 'mega';
+
+  static matches(sessionId) {
+    return super.matches(sessionId) || /^[^:~]+~[^~]+$/.test(sessionId);
+  }
+
+  /**
+   * Split a SESSION_ID into bot name, file id and key
+   */
+  static parse(sessionId) {
+    let botName = null;
+    let fileData;
+
+    if (sessionId.startsWith(`${this.scheme}:`)) {
+      fileData = sessionId.slice(this.scheme.length + 1);
+    } else {
+      const parts = sessionId.split('~');
+      if (parts.length !== 2) {
+        throw new SessionProviderError(this.scheme, 'INVALID_FORMAT',
+          `SESSION_ID should have exactly one ~ separator, got ${parts.length - 1}`);
+      }
+      [botName, fileData] = parts;
+    }
+
+    if (!fileData || !fileData.includes('#')) {
+      throw new SessionProviderError(this.scheme, 'INVALID_FORMAT',
+        'File data missing # separator', { fileData });
+    }
+
+    const fileParts = fileData.split('#');
+    if (fileParts.length !== 2) {
+      throw new SessionProviderError(this.scheme, 'INVALID_FORMAT',
+        `File data should have exactly one # separator, got ${fileParts.length - 1}`);
+    }
+
+    const [fileId, key] = fileParts;
+
+    if (!fileId || fileId.length < 6) {
+      throw new SessionProviderError(this.scheme, 'INVALID_FILE_ID',
+        `File ID too short (${fileId.length} chars, need at least 6)`);
+    }
+
+    if (!key || key.length < 12) {
+      throw new SessionProviderError(this.scheme, 'INVALID_KEY',
+        `Key too short (${key.length} chars, need at least 12)`);
+    }
+
+    return {
+      botName,
+      fileId,
+      key,
+      url: `https://mega.nz/file/${fileId}#${key}`
+    };
+  }
+
+  validate() {
+    this.parsed = MegaSessionProvider.parse(this.sessionId);
+    return this.parsed;
+  }
+
+  async download() {
+    const { url } = this.parsed || this.validate();
+    const file = File.fromURL(url);
+
+    return await new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        reject(new SessionProviderError(this.name, 'TIMEOUT',
+          `Download timeout after ${DOWNLOAD_TIMEOUT / 1000} seconds`));
+      }, DOWNLOAD_TIMEOUT);
+
+      file.download((error, data) => {
+        clearTimeout(timeout);
+        if (error) {
+          reject(new SessionProviderError(this.name, 'DOWNLOAD_FAILED',
+            `Mega download failed: ${error.message}`));
+        } else {
+          resolve(data);
+        }
+      });
+    });
+  }
+
+  canUpload() {
+    return Boolean(this.deps.megaEmail && this.deps.megaPassword);
+  }
+
+  async upload(data, meta = {}) {
+    const { megaEmail, megaPassword, botName } = this.deps;
+
+    if (!megaEmail || !megaPassword) {
+      this.fail('MISSING_CREDENTIALS', 'MEGA_EMAIL and MEGA_PASSWORD are required to upload sessions');
+    }
+
+    let storage;
+    try {
+      storage = await new Storage({ email: megaEmail, password: megaPassword }).ready;
+      const name = `creds-v${meta.version || 0}-${Date.now()}.json`;
+      const file = await storage.upload({ name, size: data.length }, data).complete;
+      const link = await file.link();
+
+      const [fileId, key] = link.replace(/^https:\/\/mega\.nz\/file\//, '').split('#');
+      // Keep the BotName~ prefix of a legacy SESSION_ID
+      const prefix = this.sessionId.includes('~') ? this.sessionId.split('~')[0] : botName;
+      return prefix ? `${prefix}~${fileId}#${key}` : `mega:${fileId}#${key}`;
+    } catch (error) {
+      this.fail('UPLOAD_FAILED', `Mega upload failed: ${error.message}`);
+    } finally {
+      storage?.close().catch(() => {});
+    }
+  }
+
+  describe() {
+    const { botName, fileId } = this.parsed || {};
+    return `mega (bot: ${botName || 'n/a'}, file: ${fileId || '?'})`;
+  }
+
+  troubleshooting() {
+    return [
+      'Verify SESSION_ID is correct: BotName~fileId#key or mega:fileId#key',
+      'Check if Mega link still works: https://mega.nz/file/fileId#key',
+      'Ensure creds.json was properly uploaded to Mega'
+    ];
+  }
+}
+
+/**
+ * Local or mounted file provider: `file:/path/to/creds.json`
+ */
+export class FileSessionProvider extends SessionProvider {
+  static scheme = 'file';
+
+  get payload() {
+    // Accept both file:/abs/path and file:///abs/path
+    return super.payload.replace(/^\/\/(?=\/)/, '');
+  }
+
+  validate() {
+    const filePath = this.payload;
+
+    if (!filePath) {
+      this.fail('INVALID_FORMAT', 'File path is empty');
+    }
+
+    this.filePath = path.resolve(this.deps.cwd || process.cwd(), filePath);
+    return { filePath: this.filePath };
+  }
+
+  async download() {
+    if (!this.filePath) this.validate();
+
+    try {
+      return await fs.readFile(this.filePath);
+    } catch (error) {
+      const code = error.code === 'ENOENT' ? 'NOT_FOUND' : 'READ_FAILED';
+      this.fail(code, `Could not read ${this.filePath}: ${error.message}`, { filePath: this.filePath });
+    }
+  }
+
+  async upload(data, meta = {}) {
+    if (!this.filePath) this.validate();
+
+    // Write then rename so readers never see a half-written file
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tmpPath, data);
+      await fs.rename(tmpPath, this.filePath);
+    } catch (error) {
+      await fs.unlink(tmpPath).catch(() => {});
+      this.fail('WRITE_FAILED', `Could not write ${this.filePath}: ${error.message}`, { filePath: this.filePath });
+    }
+
+    return this.sessionId;
+  }
+
+  describe() {
+    return `file (${this.filePath || this.payload})`;
+  }
+
+  troubleshooting() {
+    return [
+      'Check the path exists inside the container or host',
+      'Ensure the mounted volume is readable by the bot process'
+    ];
+  }
+}
+
+/**
+ * Inline creds provider: `base64:<base64 of creds.json>`
+ */
+export class Base64SessionProvider extends SessionProvider {
+  static scheme = 'base64';
+
+  validate() {
+    const encoded = this.payload.trim();
+
+    if (!encoded) {
+      this.fail('INVALID_FORMAT', 'Base64 payload is empty');
+    }
+
+    if (!/^[A-Za-z0-9+/_-]+={0,2}$/.test(encoded)) {
+      this.fail('INVALID_ENCODING', 'Payload is not valid base64');
+    }
+
+    this.data = Buffer.from(encoded, 'base64');
+    return { size: this.data.length };
+  }
+
+  async download() {
+    if (!this.data) this.validate();
+    return this.data;
+  }
+
+  async upload(data) {
+    // Nothing remote to write: the SESSION_ID itself carries the creds
+    this.data = Buffer.from(data);
+    return `${this.name}:${this.data.toString('base64')}`;
+  }
+
+  describe() {
+    return `base64 (${this.data ? this.data.length : '?'} bytes)`;
+  }
+
+  troubleshooting() {
+    return [
+      'Encode creds.json with: base64 -w0 sessions/creds.json',
+      'Prefix the value with base64: in SESSION_ID'
+    ];
+  }
+}
+
+/**
+ * MongoDB GridFS provider: `gridfs:<filename>`
+ */
+export class GridFSSessionProvider extends SessionProvider {
+  static scheme = 'gridfs';
+
+  validate() {
+    const filename = this.payload.trim();
+
+    if (!filename) {
+      this.fail('INVALID_FORMAT', 'GridFS filename is empty');
+    }
+
+    if (!this.deps.mongoManager) {
+      this.fail('MISSING_DEPENDENCY', 'GridFS sessions require a MongoDB connection');
+    }
+
+    this.filename = filename;
+    return { filename };
+  }
+
+  /**
+   * GridFS bucket holding session files
+   */
+  getBucket() {
+    return new GridFSBucket(this.deps.mongoManager.getDB(), {
+      bucketName: GRIDFS_BUCKET
+    });
+  }
+
+  async download() {
+    if (!this.filename) this.validate();
+
+    const bucket = this.getBucket();
+
+    const chunks = [];
+    try {
+      // Newest revision wins when a filename was uploaded several times
+      for await (const chunk of bucket.openDownloadStreamByName(this.filename, { revision: -1 })) {
+        chunks.push(chunk);
+      }
+    } catch (error) {
+      const code = /FileNotFound/i.test(error.code || error.message) ? 'NOT_FOUND' : 'DOWNLOAD_FAILED';
+      this.fail(code, `GridFS download failed: ${error.message}`, { filename: this.filename });
+    }
+
+    return Buffer.concat(chunks);
+  }
+
+  async upload(data, meta = {}) {
+    if (!this.filename) this.validate();
+
+    const bucket = this.getBucket();
+
+    try {
+      await new Promise((resolve, reject) => {
+        const stream = bucket.openUploadStream(this.filename, {
+          metadata: { version: meta.version, instanceId: meta.instanceId }
+        });
+        stream.once('finish', resolve);
+        stream.once('error', reject);
+        stream.end(data);
+      });
+
+      // Keep a few revisions around for manual rollback
+      const old = await bucket
+        .find({ filename: this.filename })
+        .sort({ uploadDate: -1 })
+        .skip(GRIDFS_KEEP_REVISIONS)
+        .toArray();
+
+      for (const file of old) {
+        await bucket.delete(file._id);
+      }
+    } catch (error) {
+      this.fail('UPLOAD_FAILED', `GridFS upload failed: ${error.message}`, { filename: this.filename });
+    }
+
+    return this.sessionId;
+  }
+
+  describe() {
+    return `gridfs (${GRIDFS_BUCKET}/${this.filename || this.payload})`;
+  }
+
+  troubleshooting() {
+    return [
+      `Check the "${GRIDFS_BUCKET}.files" collection holds the filename`,
+      'Ensure MONGO_URI points at the database the session was stored in'
+    ];
+  }
+}
+
+export const SESSION_PROVIDERS = [
+  FileSessionProvider,
+  Base64SessionProvider,
+  GridFSSessionProvider,
+  MegaSessionProvider
+];
+
+/**
+ * Pick the provider matching a SESSION_ID's scheme
+ */
+export function resolveSessionProvider(sessionId, deps = {}) {
+  const value = sessionId?.trim();
+
+  if (!value) {
+    throw new SessionProviderError(null, 'MISSING_SESSION_ID', 'SESSION_ID is empty');
+  }
+
+  const Provider = SESSION_PROVIDERS.find(p => p.matches(value));
+  if (!Provider) {
+    throw new SessionProviderError(null, 'UNKNOWN_SCHEME', 'No session provider matches SESSION_ID', {
+      supported: SESSION_PROVIDERS.map(p => `${p.scheme}:`)
+    });
+  }
+
+  return new Provider(value, deps);
+}
+
+/**
+ * Parse and sanity-check downloaded creds.json contents
+ */
+export function validateCreds(data, provider = null) {
+  if (!data || data.length === 0) {
+    throw new SessionProviderError(provider, 'EMPTY', 'Downloaded session data is empty');
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(data.toString());
+  } catch (error) {
+    throw new SessionProviderError(provider, 'INVALID_JSON', `Session data is not valid JSON: ${error.message}`);
+  }
+
+  if (!parsed || typeof parsed !== 'object' || !parsed.noiseKey || !parsed.signedIdentityKey) {
+    throw new SessionProviderError(provider, 'INVALID_CREDS', 'Session data does not look like a Baileys creds.json');
+  }
+
+  return parsed;
+}
@@ -0,0 +1,236 @@
+import os from 'os';
+import chalk from 'chalk';
+import { resolveSessionProvider, SessionProviderError } from './SessionProviders.js';
+
+const COLLECTION = 'session_sync';
+const DEFAULT_DEBOUNCE = 15000;
+
+/**
+ * Pushes refreshed creds back to the configured session store.
+ * Uploads are debounced after creds.update and versioned through a
+ * compare-and-swap record in MongoDB, so two instances sharing one
+ * session notice each other instead of silently overwriting.
+ */
+export class SessionSync {
+  constructor(sessionManager, mongoManager, config = {}) {
+    this.sessionManager = sessionManager;
+    this.mongoManager = mongoManager;
+    this.config = config;
+    this.target = config.SESSION_SYNC_TARGET || config.SESSION_ID || null;
+    this.enabled = String(config.SESSION_SYNC || '').toLowerCase() === 'true' && Boolean(this.target);
+    this.debounceMs = parseInt(config.SESSION_SYNC_DEBOUNCE) || DEFAULT_DEBOUNCE;
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.recordId = sessionManager.sessionName;
+
+    this.version = 0;
+    this.timer = null;
+    this.syncing = Promise.resolve();
+    this.lastSessionId = null;
+    this.lastSyncAt = null;
+    this.conflict = null;
+  }
+
+  /**
+   * Load the last known version from MongoDB
+   */
+  async initialize() {
+    const record = await this.getCollection().findOne({ _id: this.recordId });
+    this.version = record?.version || 0;
+    this.lastSessionId = record?.sessionId || null;
+
+    if (this.enabled) {
+      console.log(chalk.blue(`🔁 Session sync enabled (v${this.version}, debounce ${this.debounceMs / 1000}s)`));
+    }
+  }
+
+  getCollection() {
+    return this.mongoManager.getCollection(COLLECTION);
+  }
+
+  /**
+   * Build the provider that uploads go to
+   */
+  createProvider(target = this.target) {
+    return resolveSessionProvider(target, {
+      mongoManager: this.mongoManager,
+      megaEmail: this.config.MEGA_EMAIL,
+      megaPassword: this.config.MEGA_PASSWORD,
+      botName: this.config.BOT_NAME?.replace(/[^A-Za-z0-9_-]/g, '')
+    });
+  }
+
+  /**
+   * Target for a manual export: the sync target when it can be written to,
+   * otherwise an inline base64 SESSION_ID
+   */
+  exportTarget() {
+    if (!this.target) return 'base64:';
+
+    let provider = null;
+    try {
+      provider = this.createProvider();
+    } catch (error) {
+      if (!(error instanceof SessionProviderError)) throw error;
+    }
+    if (provider?.canUpload()) return this.target;
+
+    console.warn(chalk.yellow(
+      `⚠️ ${provider ? `The ${provider.name} session target is missing credentials` : 'Unknown session target'}, exporting as base64`
+    ));
+    return 'base64:';
+  }
+
+  /**
+   * Debounce an upload after a creds update
+   */
+  schedule() {
+    if (!this.enabled || this.conflict) return;
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.push().catch(error => {
+        console.warn(chalk.yellow('⚠️ Session sync failed:'), error.message);
+      });
+    }, this.debounceMs);
+  }
+
+  /**
+   * Upload the current creds, claiming the next version first.
+   * With force, a version written by another instance is taken over.
+   */
+  async push({ force = false, target = this.target } = {}) {
+    // Chain pushes so a manual push never races a debounced one
+    const run = this.syncing.then(() => this.doPush({ force, target }));
+    this.syncing = run.catch(() => {});
+    return run;
+  }
+
+  async doPush({ force, target }) {
+    const data = Buffer.from(this.sessionManager.exportCreds());
+    const provider = this.createProvider(target);
+    const collection = this.getCollection();
+
+    if (force) {
+      const record = await collection.findOne({ _id: this.recordId });
+      this.version = record?.version || 0;
+    }
+
+    const nextVersion = this.version + 1;
+    const claimed = await this.claimVersion(nextVersion);
+    if (!claimed) return null;
+
+    try {
+      const sessionId = await provider.upload(data, {
+        version: nextVersion,
+        instanceId: this.instanceId
+      });
+
+      await collection.updateOne(
+        { _id: this.recordId, version: nextVersion },
+        { $set: { sessionId, provider: provider.name, status: 'uploaded', uploadedAt: new Date() } }
+      );
+
+      this.lastSessionId = sessionId;
+      this.lastSyncAt = new Date();
+      this.conflict = null;
+
+      console.log(chalk.green(`🔁 Session synced to ${provider.describe()} (v${nextVersion})`));
+      return sessionId;
+    } catch (error) {
+      await collection.updateOne(
+        { _id: this.recordId, version: nextVersion },
+        { $set: { status: 'failed', error: error.message } }
+      ).catch(() => {});
+
+      if (error instanceof SessionProviderError) {
+        console.warn(chalk.yellow(`⚠️ Session upload failed [${error.provider}:${error.code}] ${error.message}`));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Compare-and-swap the version record; false means another instance won
+   */
+  async claimVersion(nextVersion) {
+    const collection = this.getCollection();
+
+    try {
+      const result = await collection.updateOne(
+        { _id: this.recordId, version: this.version },
+        {
+          $set: {
+            version: nextVersion,
+            instanceId: this.instanceId,
+            status: 'uploading',
+            updatedAt: new Date()
+          }
+        },
+        { upsert: this.version === 0 }
+      );
+
+      if (result.matchedCount === 0 && result.upsertedCount === 0) {
+        await this.recordConflict();
+        return false;
+      }
+    } catch (error) {
+      // Duplicate key: the record was created by someone else first
+      if (error.code === 11000) {
+        await this.recordConflict();
+        return false;
+      }
+      throw error;
+    }
+
+    this.version = nextVersion;
+    return true;
+  }
+
+  /**
+   * Remember who overwrote us and stop uploading until forced
+   */
+  async recordConflict() {
+    const record = await this.getCollection().findOne({ _id: this.recordId });
+
+    this.conflict = {
+      localVersion: this.version,
+      remoteVersion: record?.version,
+      remoteInstance: record?.instanceId,
+      detectedAt: new Date()
+    };
+
+    console.warn(chalk.red(
+      `⚠️ Session sync conflict: v${record?.version} was written by ${record?.instanceId}, ` +
+      `this instance (${this.instanceId}) was at v${this.version}. Skipping upload.`
+    ));
+  }
+
+  /**
+   * Flush any pending upload (used on shutdown)
+   */
+  async stop() {
+    await this.syncing;
+    if (!this.timer) return;
+
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.push().catch(error => {
+      console.warn(chalk.yellow('⚠️ Final session sync failed:'), error.message);
+    });
+  }
+
+  /**
+   * Current sync state for status commands
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      version: this.version,
+      instanceId: this.instanceId,
+      pending: Boolean(this.timer),
+      lastSyncAt: this.lastSyncAt,
+      conflict: this.conflict
+    };
+  }
+}
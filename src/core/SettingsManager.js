@@ -0,0 +1,307 @@
+import { EventEmitter } from 'events';
+import chalk from 'chalk';
+
+/**
+ * Thrown when a setting key is unknown or a value fails validation
+ */
+export class SettingError extends Error {
+  constructor(key, message) {
+    super(message);
+    this.name = 'SettingError';
+    this.key = key;
+  }
+}
+
+/**
+ * Parse on/off style input
+ */
+export const toBoolean = (key, value) => {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).toLowerCase();
+  if (['on', 'true', 'yes', '1'].includes(text)) return true;
+  if (['off', 'false', 'no', '0'].includes(text)) return false;
+  throw new SettingError(key, `"${key}" must be on or off`);
+};
+
+/**
+ * Parse a whole number within bounds
+ */
+export const toInteger = (key, min, max) => (value) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new SettingError(key, `"${key}" must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+};
+
+export const CALL_POLICIES = ['allow', 'reject', 'reject-message', 'block'];
+export const ANTIDELETE_TARGETS = ['off', 'owner', 'chat'];
+
+/**
+ * Registry of runtime settings.
+ * `env` may list several names; the first one set is used (legacy names last).
+ * Env vars are only used as defaults; stored values win once they exist.
+ */
+export const SETTINGS = {
+  prefix: {
+    type: 'string',
+    description: 'Command prefix',
+    env: 'PREFIX',
+    default: '.',
+    parse(value) {
+      const prefix = String(value).trim();
+      if (!prefix || prefix.length > 3 || /\s/.test(prefix)) {
+        throw new SettingError('prefix', 'Prefix must be 1-3 characters without spaces');
+      }
+      return prefix;
+    }
+  },
+  owner: {
+    type: 'string',
+    description: 'Owner phone number',
+    env: 'OWNER_NUMBER',
+    default: '',
+    parse(value) {
+      const number = String(value).split('@')[0].replace(/[^0-9]/g, '');
+      if (number.length < 7 || number.length > 15) {
+        throw new SettingError('owner', 'Owner must be a phone number with country code');
+      }
+      return number;
+    }
+  },
+  language: {
+    type: 'string',
+    description: 'Reply language code',
+    env: 'BOT_LANGUAGE',
+    default: 'en',
+    parse(value) {
+      const language = String(value).trim().toLowerCase();
+      if (!/^[a-z]{2,3}(-[a-z]{2})?$/.test(language)) {
+        throw new SettingError('language', 'Language must be a code like en or pt-br');
+      }
+      return language;
+    }
+  },
+  antilink: {
+    type: 'boolean',
+    description: 'Remove links posted in groups',
+    env: 'ANTILINK',
+    default: false,
+    parse: value => toBoolean('antilink', value)
+  },
+  welcome: {
+    type: 'boolean',
+    description: 'Greet new group members',
+    env: 'WELCOME',
+    default: false,
+    parse: value => toBoolean('welcome', value)
+  },
+  antidelete: {
+    type: 'string',
+    description: 'Resend deleted messages to the owner or the chat',
+    env: 'ANTIDELETE',
+    default: 'off',
+    parse(value) {
+      const target = String(value).toLowerCase();
+      if (!ANTIDELETE_TARGETS.includes(target)) {
+        throw new SettingError('antidelete', `Anti-delete must be one of: ${ANTIDELETE_TARGETS.join(', ')}`);
+      }
+      return target;
+    }
+  },
+  editHistory: {
+    type: 'boolean',
+    description: 'Keep the history of edited messages',
+    env: 'EDIT_HISTORY',
+    default: false,
+    parse: value => toBoolean('editHistory', value)
+  },
+  callPolicy: {
+    type: 'string',
+    description: 'What to do with incoming calls',
+    env: ['CALL_POLICY', 'REJECT_CALL'],
+    default: 'allow',
+    parse(value) {
+      const policy = String(value).toLowerCase();
+      if (CALL_POLICIES.includes(policy)) return policy;
+
+      // REJECT_CALL=true from older configs
+      try {
+        return toBoolean('callPolicy', policy) ? 'reject' : 'allow';
+      } catch {
+        throw new SettingError('callPolicy', `Call policy must be one of: ${CALL_POLICIES.join(', ')}`);
+      }
+    }
+  },
+  callMessage: {
+    type: 'string',
+    description: 'Reply sent to rejected callers',
+    env: 'CALL_MESSAGE',
+    default: '📵 Sorry, I can\'t take calls. Please send a text message instead.',
+    parse(value) {
+      const text = String(value).trim();
+      if (!text || text.length > 500) {
+        throw new SettingError('callMessage', 'Call message must be 1-500 characters');
+      }
+      return text;
+    }
+  },
+  callBlockAfter: {
+    type: 'number',
+    description: 'Calls within the window before blocking',
+    env: 'CALL_BLOCK_AFTER',
+    default: 3,
+    parse: toInteger('callBlockAfter', 1, 50)
+  },
+  callBlockWindow: {
+    type: 'number',
+    description: 'Call counting window in minutes',
+    env: 'CALL_BLOCK_WINDOW',
+    default: 10,
+    parse: toInteger('callBlockWindow', 1, 1440)
+  },
+  banNotice: {
+    type: 'boolean',
+    description: 'Tell banned users once that they are banned',
+    env: 'BAN_NOTICE',
+    default: false,
+    parse: value => toBoolean('banNotice', value)
+  },
+  banBlock: {
+    type: 'boolean',
+    description: 'Also block banned users on WhatsApp',
+    env: 'BAN_BLOCK',
+    default: false,
+    parse: value => toBoolean('banBlock', value)
+  }
+};
+
+/**
+ * Typed settings backed by the `settings` collection with an in-memory cache.
+ * Reads are synchronous so the dispatcher can check them on every message.
+ */
+export class SettingsManager {
+  constructor(mongoManager, env = process.env) {
+    this.mongoManager = mongoManager;
+    this.env = env;
+    this.values = new Map();
+    this.events = new EventEmitter();
+
+    for (const [key, definition] of Object.entries(SETTINGS)) {
+      this.values.set(key, this.bootstrapValue(key, definition));
+    }
+  }
+
+  /**
+   * Default for a setting, taken from its env var when that is valid
+   */
+  bootstrapValue(key, definition) {
+    const names = [].concat(definition.env);
+    const name = names.find(n => this.env[n] !== undefined && this.env[n] !== '');
+    if (!name) return definition.default;
+
+    try {
+      return definition.parse(this.env[name]);
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️ Ignoring ${name}: ${error.message}`));
+      return definition.default;
+    }
+  }
+
+  /**
+   * Load stored settings into the cache
+   */
+  async initialize() {
+    const docs = await this.collection().find({ key: { $in: Object.keys(SETTINGS) } }).toArray();
+
+    for (const doc of docs) {
+      // Older documents stored booleans as { enabled }
+      const raw = doc.value !== undefined ? doc.value : doc.enabled;
+      if (raw === undefined) continue;
+
+      try {
+        this.values.set(doc.key, SETTINGS[doc.key].parse(raw));
+      } catch (error) {
+        console.warn(chalk.yellow(`⚠️ Ignoring stored setting "${doc.key}": ${error.message}`));
+      }
+    }
+  }
+
+  /**
+   * Settings collection
+   */
+  collection() {
+    return this.mongoManager.getDB().collection('settings');
+  }
+
+  /**
+   * Look up a setting definition
+   */
+  definition(key) {
+    const definition = SETTINGS[key];
+    if (!definition) {
+      throw new SettingError(key, `Unknown setting "${key}"`);
+    }
+    return definition;
+  }
+
+  /**
+   * Current value of a setting
+   */
+  get(key) {
+    this.definition(key);
+    return this.values.get(key);
+  }
+
+  /**
+   * Validate, persist and apply a setting
+   */
+  async set(key, value, updatedBy = null) {
+    const definition = this.definition(key);
+    const parsed = definition.parse(value);
+    const previous = this.values.get(key);
+
+    await this.collection().updateOne(
+      { key },
+      {
+        $set: { value: parsed, updatedAt: new Date(), updatedBy },
+        $unset: { enabled: '' }
+      },
+      { upsert: true }
+    );
+
+    this.values.set(key, parsed);
+    this.events.emit('change', { key, value: parsed, previous });
+    console.log(chalk.blue(`⚙️ Setting "${key}" changed: ${JSON.stringify(previous)} → ${JSON.stringify(parsed)}`));
+
+    return parsed;
+  }
+
+  /**
+   * Drop the stored value and fall back to the env/default value
+   */
+  async reset(key) {
+    const definition = this.definition(key);
+    const previous = this.values.get(key);
+    const value = this.bootstrapValue(key, definition);
+
+    await this.collection().deleteOne({ key });
+
+    this.values.set(key, value);
+    this.events.emit('change', { key, value, previous });
+
+    return value;
+  }
+
+  /**
+   * All settings with their current values
+   */
+  list() {
+    return Object.entries(SETTINGS).map(([key, definition]) => ({
+      key,
+      type: definition.type,
+      description: definition.description,
+      value: this.values.get(key)
+    }));
+  }
+}
@@ -4,6 +4,7 @@ import {
   fetchLatestBaileysVersion,
   makeCacheableSignalKeyStore
 } from '@whiskeysockets/baileys';
+import { EventEmitter } from 'events';
 import qrcode from 'qrcode-terminal';
 import chalk from 'chalk';
 import { Boom } from '@hapi/boom';
@@ -11,6 +12,7 @@ import logger from '../utils/logger.js';
 
 const MAX_RETRIES = 8;
 const BASE_DELAY = 1000;
+const DEFAULT_PAIRING_CODE_TTL = 120000;
 
 export class SocketManager {
   constructor(sessionManager, pluginManager, mongoManager) {
@@ -21,6 +23,46 @@ export class SocketManager {
     this.retryCount = 0;
     this.isConnecting = false;
     this.listeners = new Map();
+    this.events = new EventEmitter();
+    this.pairing = {
+      number: (process.env.PAIRING_NUMBER || '').replace(/[^0-9]/g, '') || null,
+      // Read here, not at import time, so values from .env are seen
+      ttl: parseInt(process.env.PAIRING_CODE_TTL) || DEFAULT_PAIRING_CODE_TTL,
+      code: null,
+      expiresAt: null,
+      timer: null,
+      failed: false
+    };
+    this.loginState = {
+      status: 'initializing',
+      qr: null,
+      pairingCode: null,
+      pairingNumber: this.pairing.number,
+      user: null,
+      updatedAt: new Date()
+    };
+  }
+
+  /**
+   * Update login state and notify listeners (web login page)
+   */
+  setLoginState(patch) {
+    Object.assign(this.loginState, patch, { updatedAt: new Date() });
+    this.events.emit('login.update', this.getLoginState());
+  }
+
+  /**
+   * Get a copy of the current login state
+   */
+  getLoginState() {
+    return { ...this.loginState };
+  }
+
+  /**
+   * Check if pairing-code login should be used instead of QR
+   */
+  usesPairingCode() {
+    return Boolean(this.pairing.number) && !this.pairing.failed;
   }
 
   /**
@@ -46,11 +88,12 @@ export class SocketManager {
           creds: state.creds,
           keys: makeCacheableSignalKeyStore(state.keys, logger)
         },
-        printQRInTerminal: true,
+        printQRInTerminal: false,
         browser: ['Groq Bot', 'Chrome', '1.0.0'],
         logger: logger,
+        // Needed to re-send messages on retry requests and to decrypt poll votes
         getMessage: async (key) => {
-          return { conversation: '' };
+          return await this.pluginManager.services.messageStore?.getMessage(key);
         },
         syncFullHistory: false,
         markOnlineOnConnect: true,
@@ -62,6 +105,11 @@ export class SocketManager {
         shouldIgnoreJid: jid => jid === 'status@broadcast',
       });
 
+      this.storeSentMessages();
+
+      // Outgoing messages are queued, paced and retried by the dispatcher
+      this.pluginManager.services.outbound?.attach(this.sock);
+
       // Remove old listeners
       this.removeAllListeners();
 
@@ -69,6 +117,8 @@ export class SocketManager {
       this.setupConnectionListener();
       this.setupCredentialsListener(saveCreds);
       this.setupMessageListener();
+      this.setupGroupListener();
+      this.setupEventListeners();
 
       this.isConnecting = false;
     } catch (error) {
@@ -78,6 +128,21 @@ export class SocketManager {
     }
   }
 
+  /**
+   * Record messages the bot sends so retries can be served from the store
+   */
+  storeSentMessages() {
+    const store = this.pluginManager.services.messageStore;
+    if (!store) return;
+
+    const sendMessage = this.sock.sendMessage.bind(this.sock);
+    this.sock.sendMessage = async (...args) => {
+      const sent = await sendMessage(...args);
+      if (sent) store.save(sent);
+      return sent;
+    };
+  }
+
   /**
    * Setup connection update listener
    */
@@ -85,31 +150,58 @@ export class SocketManager {
     const listener = async (update) => {
       const { connection, lastDisconnect, qr } = update;
 
-      if (qr) {
+      // A QR means the socket is up and waiting for login
+      if (qr && this.usesPairingCode()) {
+        if (!this.pairing.code) {
+          await this.requestPairingCode();
+        }
+      }
+
+      if (qr && !this.usesPairingCode()) {
         console.log(chalk.yellow('\n📱 Scan QR Code:\n'));
         qrcode.generate(qr, { small: true });
+        this.setLoginState({ status: 'qr', qr });
       }
 
       if (connection === 'connecting') {
         console.log(chalk.blue('🔄 Connecting to WhatsApp...'));
+        this.setLoginState({ status: 'connecting' });
       }
 
       if (connection === 'open') {
+        this.clearPairingCode();
+        this.pluginManager.services.outbound?.setConnected(true);
         console.log(chalk.green('✅ WhatsApp connection established'));
         console.log(chalk.cyan(`📱 Connected as: ${this.sock.user?.name || 'Unknown'}`));
         this.retryCount = 0;
+        this.setLoginState({
+          status: 'open',
+          qr: null,
+          user: { id: this.sock.user?.id, name: this.sock.user?.name || null }
+        });
         
         // Send startup notification to owner after a delay
         setTimeout(() => {
           this.sendStartupNotification();
         }, 3000);
+
+        this.pluginManager.dispatchEvent('connection.open', this.sock, { data: update, user: this.sock.user });
       }
 
       if (connection === 'close') {
+        this.clearPairingCode();
+        this.pluginManager.services.outbound?.setConnected(false);
         const reason = new Boom(lastDisconnect?.error)?.output?.statusCode;
         const shouldReconnect = reason !== DisconnectReason.loggedOut;
 
         console.log(chalk.red(`❌ Connection closed. Reason: ${reason}`));
+        this.setLoginState({ status: 'closed', qr: null, user: null });
+
+        await this.pluginManager.dispatchEvent('connection.close', this.sock, {
+          data: update,
+          reason,
+          willReconnect: shouldReconnect
+        });
 
         if (shouldReconnect) {
           await this.handleReconnect();
@@ -125,11 +217,88 @@ export class SocketManager {
     this.listeners.set('connection.update', listener);
   }
 
+  /**
+   * Request a pairing code for PAIRING_NUMBER and refresh it before it expires
+   */
+  async requestPairingCode() {
+    if (!this.sock || this.sock.authState.creds.registered) return;
+
+    try {
+      const code = await this.sock.requestPairingCode(this.pairing.number);
+      const formatted = code?.match(/.{1,4}/g)?.join('-') || code;
+
+      this.pairing.code = formatted;
+      this.pairing.expiresAt = Date.now() + this.pairing.ttl;
+      this.setLoginState({ status: 'pairing', pairingCode: formatted, qr: null });
+
+      console.log(chalk.yellow(`\n🔑 Pairing code for +${this.pairing.number}: ${chalk.bold(formatted)}`));
+      console.log(chalk.cyan('   WhatsApp → Linked devices → Link with phone number\n'));
+      logger.info({ number: this.pairing.number, code: formatted }, 'Pairing code issued');
+
+      clearTimeout(this.pairing.timer);
+      this.pairing.timer = setTimeout(() => {
+        console.log(chalk.yellow('⏳ Pairing code expired, requesting a new one...'));
+        this.pairing.code = null;
+        this.requestPairingCode();
+      }, this.pairing.ttl);
+    } catch (error) {
+      console.error(chalk.red('❌ Pairing code request failed:'), error.message);
+      console.log(chalk.yellow('💡 Falling back to QR code authentication'));
+      this.pairing.failed = true;
+      this.clearPairingCode();
+    }
+  }
+
+  /**
+   * Drop the current pairing code and its refresh timer
+   */
+  clearPairingCode() {
+    clearTimeout(this.pairing.timer);
+    this.pairing.timer = null;
+    this.pairing.code = null;
+    this.pairing.expiresAt = null;
+
+    if (this.loginState.pairingCode) {
+      this.setLoginState({ pairingCode: null });
+    }
+  }
+
+  /**
+   * Log out, wipe the stored session and reconnect for a fresh login
+   */
+  async resetSession() {
+    console.log(chalk.yellow('🔄 Resetting WhatsApp session...'));
+    this.clearPairingCode();
+    this.pluginManager.services.outbound?.setConnected(false);
+
+    if (this.sock) {
+      // Detach first so the loggedOut close doesn't exit the process
+      this.removeAllListeners();
+      try {
+        await this.sock.logout();
+      } catch (error) {
+        console.warn(chalk.yellow('⚠️ Logout failed, continuing reset:'), error.message);
+      }
+      this.sock.end(undefined);
+      this.sock = null;
+    }
+
+    await this.sessionManager.cleanSession();
+    this.retryCount = 0;
+    this.pairing.failed = false;
+    this.setLoginState({ status: 'initializing', qr: null, user: null });
+
+    await this.connect();
+  }
+
   /**
    * Setup credentials update listener
    */
   setupCredentialsListener(saveCreds) {
-    const listener = saveCreds;
+    const listener = async () => {
+      await saveCreds();
+      this.sessionManager.onCredsUpdated();
+    };
     this.sock.ev.on('creds.update', listener);
     this.listeners.set('creds.update', listener);
   }
@@ -149,8 +318,13 @@ export class SocketManager {
 
         console.log(chalk.yellow(`\n📨 Received ${messages.length} message(s) (type: ${type})`));
 
+        const { messageStore: store, activity } = this.pluginManager.services;
+
         for (const msg of messages) {
           try {
+            // Store everything, including messages sent from the owner's other devices
+            store?.save(msg);
+
             // Skip if from self (own messages)
             if (msg.key?.fromMe) {
               console.log(chalk.gray('ℹ️ Skipping own message'));
@@ -167,13 +341,14 @@ export class SocketManager {
             const text = this.extractMessageText(msg);
 
             if (!text || text.trim().length === 0) {
-              console.log(chalk.gray(`ℹ️ Empty message from ${sender}`));
-              continue;
+              console.log(chalk.gray(`ℹ️ Non-text message from ${sender}`));
+            } else {
+              console.log(chalk.green(`✅ Message from ${sender}: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`));
             }
 
-            console.log(chalk.green(`✅ Message from ${sender}: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`));
+            activity?.trackMessage(msg, text || '', this.pluginManager.resolveActor(msg));
 
-            // Pass to plugin manager for command handling
+            // Pass to plugin manager for listeners and command handling
             await this.pluginManager.handleMessage(msg, this.sock);
 
           } catch (msgError) {
@@ -190,6 +365,83 @@ export class SocketManager {
     this.listeners.set('messages.upsert', listener);
   }
 
+  /**
+   * Setup group membership listener (welcome, goodbye, promote, demote)
+   */
+  setupGroupListener() {
+    const listener = async (update) => {
+      try {
+        console.log(chalk.blue(`👥 ${update.action} in ${update.id}: ${update.participants?.length || 0} participant(s)`));
+
+        const welcome = this.pluginManager.services.welcome;
+        if (welcome) {
+          await welcome.handleParticipantsUpdate(this.sock, update);
+        } else {
+          this.pluginManager.invalidateGroupMetadata(update.id);
+        }
+
+        await this.pluginManager.dispatchEvent('group-participants.update', this.sock, {
+          chatId: update.id,
+          data: update
+        });
+      } catch (error) {
+        console.error(chalk.red('❌ Group participants listener error:'), error.message);
+      }
+    };
+
+    this.sock.ev.on('group-participants.update', listener);
+    this.listeners.set('group-participants.update', listener);
+  }
+
+  /**
+   * Forward group, call, reaction and edit/delete events to plugin handlers,
+   * and feed contact updates to the identity resolver
+   */
+  setupEventListeners() {
+    // Each of these events delivers an array; plugins get one item per call
+    const events = {
+      'groups.update': update => update.id,
+      'call': call => call.chatId || call.from,
+      'messages.reaction': reaction => reaction.key?.remoteJid,
+      'messages.update': update => update.key?.remoteJid
+    };
+
+    // Contacts carry phone/LID pairs; no plugin event for these
+    for (const event of ['contacts.upsert', 'contacts.update']) {
+      const listener = (contacts) => {
+        this.pluginManager.services.identity?.learnFromContacts(contacts);
+      };
+
+      this.sock.ev.on(event, listener);
+      this.listeners.set(event, listener);
+    }
+
+    for (const [event, getChatId] of Object.entries(events)) {
+      const listener = async (items) => {
+        for (const item of items || []) {
+          try {
+            const chatId = getChatId(item) || null;
+
+            if (event === 'groups.update' && chatId) {
+              this.pluginManager.invalidateGroupMetadata(chatId);
+            }
+
+            if (event === 'call' && this.pluginManager.services.calls) {
+              await this.pluginManager.services.calls.handleCall(this.sock, item);
+            }
+
+            await this.pluginManager.dispatchEvent(event, this.sock, { chatId, data: item });
+          } catch (error) {
+            console.error(chalk.red(`❌ ${event} listener error:`), error.message);
+          }
+        }
+      };
+
+      this.sock.ev.on(event, listener);
+      this.listeners.set(event, listener);
+    }
+  }
+
   /**
    * Extract message text from various message types
    */
@@ -208,7 +460,8 @@ export class SocketManager {
    */
   async sendStartupNotification() {
     try {
-      const ownerNumber = process.env.OWNER_NUMBER;
+      const settings = this.pluginManager.settings;
+      const ownerNumber = settings ? settings.get('owner') : process.env.OWNER_NUMBER;
       if (!ownerNumber) {
         console.log(chalk.yellow('⚠️ No OWNER_NUMBER set, skipping startup notification'));
         return;
@@ -223,9 +476,9 @@ export class SocketManager {
 🔌 Connection: Established
 ⏰ Time: ${new Date().toLocaleString()}
 
-Type *.help* for commands.`;
+Type *${this.pluginManager.prefix}help* for commands.`;
 
-      await this.sock.sendMessage(jid, { text: message });
+      await this.sock.sendMessage(jid, { text: message }, { priority: 'low' });
       console.log(chalk.green('📤 Startup notification sent to owner'));
 
     } catch (error) {
@@ -273,6 +526,9 @@ Type *.help* for commands.`;
    * Disconnect from WhatsApp
    */
   async disconnect() {
+    this.clearPairingCode();
+    this.pluginManager.services.outbound?.setConnected(false);
+
     if (this.sock) {
       this.removeAllListeners();
       await this.sock.end();
@@ -0,0 +1,115 @@
+import chalk from 'chalk';
+import { normalizeJid } from '../utils/helpers.js';
+
+export const MEMBERSHIP_EVENTS = {
+  add: 'welcome',
+  remove: 'goodbye',
+  promote: 'promote',
+  demote: 'demote'
+};
+
+export const DEFAULT_TEMPLATES = {
+  welcome: '👋 Welcome {user} to *{group}*!\nYou are member #{count}.\n\n{desc}',
+  goodbye: '👋 {user} has left *{group}*. We are now {count}.',
+  promote: '⬆️ {user} is now an admin of *{group}*.',
+  demote: '⬇️ {user} is no longer an admin of *{group}*.'
+};
+
+// Only these get the group picture attached
+const PICTURE_TYPES = ['welcome', 'goodbye'];
+
+/**
+ * Templated welcome, goodbye, promote and demote messages per group
+ */
+export class WelcomeManager {
+  constructor(pluginManager, groupConfig) {
+    this.pluginManager = pluginManager;
+    this.groupConfig = groupConfig;
+  }
+
+  /**
+   * Handle a group-participants.update event
+   */
+  async handleParticipantsUpdate(sock, update) {
+    const { id: groupId, participants = [], action, author } = update;
+    const type = MEMBERSHIP_EVENTS[action];
+    if (!type) return;
+
+    // Counts and admin lists change with this event
+    this.pluginManager.invalidateGroupMetadata(groupId);
+
+    const chatConfig = await this.groupConfig.resolve(groupId);
+    if (!chatConfig.welcome) return;
+
+    const metadata = await this.pluginManager.getGroupMetadata(sock, groupId);
+    if (!metadata) return;
+
+    const botIds = [sock.user?.id, sock.user?.lid].filter(Boolean).map(normalizeJid);
+
+    for (const participant of participants) {
+      const user = typeof participant === 'string' ? participant : participant.id;
+      if (botIds.includes(normalizeJid(user))) continue;
+
+      try {
+        const message = await this.buildMessage(sock, chatConfig, type, { user, author, metadata });
+        await sock.sendMessage(groupId, message);
+      } catch (error) {
+        console.warn(chalk.yellow(`⚠️ Failed to send ${type} message in ${groupId}:`), error.message);
+      }
+    }
+  }
+
+  /**
+   * Template for an event type, group override first
+   */
+  getTemplate(chatConfig, type) {
+    return chatConfig[`${type}Message`] || DEFAULT_TEMPLATES[type];
+  }
+
+  /**
+   * Fill placeholders: {user}, {group}, {count}, {desc}, {author}
+   */
+  render(template, { user, author, metadata }) {
+    const values = {
+      user: `@${user.split('@')[0]}`,
+      author: author ? `@${author.split('@')[0]}` : '',
+      group: metadata.subject || 'this group',
+      count: String(metadata.participants?.length ?? metadata.size ?? ''),
+      desc: metadata.desc || ''
+    };
+
+    return template
+      .replace(/\{(user|author|group|count|desc)\}/g, (_, key) => values[key])
+      .trim();
+  }
+
+  /**
+   * Build the message payload, with mentions and the optional group picture
+   */
+  async buildMessage(sock, chatConfig, type, context) {
+    const template = this.getTemplate(chatConfig, type);
+    const text = this.render(template, context);
+    const mentions = [context.user];
+    if (context.author && template.includes('{author}')) mentions.push(context.author);
+
+    if (chatConfig.welcomePicture && PICTURE_TYPES.includes(type)) {
+      const url = await this.getGroupPicture(sock, context.metadata.id);
+      if (url) {
+        return { image: { url }, caption: text, mentions };
+      }
+    }
+
+    return { text, mentions };
+  }
+
+  /**
+   * Group picture URL, or null when the group has none
+   */
+  async getGroupPicture(sock, groupId) {
+    try {
+      return await sock.profilePictureUrl(groupId, 'image');
+    } catch {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,202 @@
+import express from 'express';
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import chalk from 'chalk';
+
+const KEEPALIVE_INTERVAL = 25000;
+
+/**
+ * Constant-time token comparison
+ */
+function tokenMatches(given, expected) {
+  if (!given) return false;
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Require LOGIN_TOKEN via ?token=, X-Login-Token or Bearer auth
+ */
+function requireToken(req, res, next) {
+  const expected = process.env.LOGIN_TOKEN;
+
+  if (!expected) {
+    return res.status(503).json({ error: 'Login page disabled. Set LOGIN_TOKEN to enable it.' });
+  }
+
+  const bearer = req.get('authorization')?.replace(/^Bearer\s+/i, '');
+  const given = req.query.token || req.get('x-login-token') || bearer;
+
+  if (!tokenMatches(given, expected)) {
+    return res.status(401).json({ error: 'Invalid or missing token' });
+  }
+
+  next();
+}
+
+/**
+ * Login state as sent to the browser, with the QR rendered as an image
+ */
+async function renderState(loginState) {
+  const qrImage = loginState.qr
+    ? await QRCode.toDataURL(loginState.qr, { margin: 1, width: 280 })
+    : null;
+
+  return {
+    status: loginState.status,
+    qrImage,
+    pairingCode: loginState.pairingCode,
+    pairingNumber: loginState.pairingNumber,
+    user: loginState.user,
+    updatedAt: loginState.updatedAt
+  };
+}
+
+/**
+ * Routes for the web login page
+ */
+export function createLoginRouter(state) {
+  const router = express.Router();
+
+  router.use(requireToken);
+
+  const getSocketManager = (res) => {
+    if (!state.socketManager) {
+      res.status(503).json({ error: 'Socket not initialized yet' });
+      return null;
+    }
+    return state.socketManager;
+  };
+
+  /**
+   * Login page
+   */
+  router.get('/', (req, res) => {
+    res.type('html').send(LOGIN_PAGE);
+  });
+
+  /**
+   * Current login state
+   */
+  router.get('/state', async (req, res) => {
+    const socketManager = getSocketManager(res);
+    if (!socketManager) return;
+
+    res.json(await renderState(socketManager.getLoginState()));
+  });
+
+  /**
+   * Live login updates (Server-Sent Events)
+   */
+  router.get('/events', async (req, res) => {
+    const socketManager = getSocketManager(res);
+    if (!socketManager) return;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = async (loginState) => {
+      try {
+        res.write(`data: ${JSON.stringify(await renderState(loginState))}\n\n`);
+      } catch (error) {
+        console.warn(chalk.yellow('⚠️ Login event failed:'), error.message);
+      }
+    };
+
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEPALIVE_INTERVAL);
+    socketManager.events.on('login.update', send);
+
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      socketManager.events.off('login.update', send);
+    });
+
+    await send(socketManager.getLoginState());
+  });
+
+  /**
+   * Log out and start a fresh login
+   */
+  router.post('/reset', (req, res) => {
+    const socketManager = getSocketManager(res);
+    if (!socketManager) return;
+
+    console.log(chalk.yellow(`🌐 Session reset requested from ${req.ip}`));
+
+    socketManager.resetSession().catch(error => {
+      console.error(chalk.red('❌ Session reset failed:'), error);
+    });
+
+    res.status(202).json({ status: 'resetting' });
+  });
+
+  return router;
+}
+
+const LOGIN_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Groq Bot Login</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #111b21; color: #e9edef; display: flex; justify-content: center; padding: 40px 16px; }
+    main { background: #202c33; border-radius: 12px; padding: 32px; max-width: 360px; width: 100%; text-align: center; }
+    h1 { font-size: 20px; margin-top: 0; }
+    #qr { width: 280px; height: 280px; background: #fff; border-radius: 8px; }
+    #code { font-size: 32px; letter-spacing: 4px; font-family: monospace; margin: 24px 0; }
+    #status { color: #8696a0; margin: 16px 0; }
+    .hidden { display: none; }
+    button { background: #d9534f; color: #fff; border: 0; border-radius: 6px; padding: 10px 18px; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>🤖 Groq Bot Login</h1>
+    <img id="qr" class="hidden" alt="WhatsApp QR code">
+    <div id="code" class="hidden"></div>
+    <p id="status">Waiting for connection...</p>
+    <button id="reset">Reset session</button>
+  </main>
+  <script>
+    const token = new URLSearchParams(location.search).get('token') || '';
+    const qs = '?token=' + encodeURIComponent(token);
+    const qr = document.getElementById('qr');
+    const code = document.getElementById('code');
+    const status = document.getElementById('status');
+
+    function render(state) {
+      qr.classList.toggle('hidden', !state.qrImage);
+      if (state.qrImage) qr.src = state.qrImage;
+
+      code.classList.toggle('hidden', !state.pairingCode);
+      code.textContent = state.pairingCode || '';
+
+      if (state.status === 'open') {
+        status.textContent = '✅ Connected as ' + (state.user?.name || state.user?.id || 'unknown');
+      } else if (state.pairingCode) {
+        status.textContent = 'Enter this code on +' + state.pairingNumber + ': WhatsApp → Linked devices → Link with phone number';
+      } else if (state.qrImage) {
+        status.textContent = 'Scan with WhatsApp → Linked devices';
+      } else {
+        status.textContent = 'Status: ' + state.status;
+      }
+    }
+
+    const events = new EventSource('/login/events' + qs);
+    events.onmessage = (event) => render(JSON.parse(event.data));
+    events.onerror = () => { status.textContent = 'Connection to server lost, retrying...'; };
+
+    document.getElementById('reset').onclick = async () => {
+      if (!confirm('Log out and start a new WhatsApp login?')) return;
+      await fetch('/login/reset' + qs, { method: 'POST' });
+      status.textContent = 'Resetting session...';
+    };
+  </script>
+</body>
+</html>`;
@@ -1,5 +1,6 @@
 import express from 'express';
 import chalk from 'chalk';
+import { createLoginRouter } from './routes/login.js';
 
 const PORT = process.env.PORT || 3000;
 
@@ -19,6 +20,11 @@ export function startServer(state) {
     res.json(status);
   });
 
+  /**
+   * Web login page (QR / pairing code)
+   */
+  app.use('/login', createLoginRouter(state));
+
   /**
    * Root endpoint
    */
@@ -33,5 +39,8 @@ export function startServer(state) {
   app.listen(PORT, () => {
     console.log(chalk.green(`🌐 Server running on port ${PORT}`));
     console.log(chalk.blue(`   Health: http://localhost:${PORT}/health`));
+    if (process.env.LOGIN_TOKEN) {
+      console.log(chalk.blue(`   Login:  http://localhost:${PORT}/login?token=<LOGIN_TOKEN>`));
+    }
   });
 }
@@ -0,0 +1,84 @@
+/**
+ * Helpers for cancellable plugin runs.
+ * Plugins get proxied `sock` and `db` objects that refuse to act once the
+ * run's AbortSignal has fired, so a timed-out or cancelled plugin can't keep
+ * sending messages or writing to the database in the background.
+ */
+
+export const ABORT_REASONS = ['timeout', 'cancelled', 'shutdown'];
+
+/**
+ * Error used as the abort reason of a plugin run
+ */
+export class PluginAbortError extends Error {
+  constructor(reason, message) {
+    super(message || `Plugin ${reason}`);
+    this.name = 'PluginAbortError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Throw the abort reason if the signal has fired
+ */
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw signal.reason instanceof Error ? signal.reason : new PluginAbortError('cancelled');
+  }
+}
+
+/**
+ * Promise that rejects when the signal fires
+ */
+export function abortPromise(signal) {
+  return new Promise((_, reject) => {
+    if (signal.aborted) return reject(signal.reason);
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+}
+
+/**
+ * Proxy whose methods check the signal before running.
+ * `wrapResult` can guard objects returned by a method (e.g. cursors),
+ * `wrapArgs` can adjust the arguments of a call.
+ */
+function guardMethods(target, signal, wrapResult = null, wrapArgs = null) {
+  return new Proxy(target, {
+    get(obj, prop, receiver) {
+      const value = Reflect.get(obj, prop, receiver);
+      if (typeof value !== 'function') return value;
+
+      return function (...args) {
+        throwIfAborted(signal);
+        const result = value.apply(obj, wrapArgs ? wrapArgs(prop, args) : args);
+        return wrapResult ? wrapResult(prop, result) : result;
+      };
+    }
+  });
+}
+
+/**
+ * Socket whose calls (sendMessage, groupMetadata, ...) fail after abort.
+ * Sends carry the signal so the outbound queue can drop them if the run
+ * is aborted before they go out.
+ */
+export function guardSocket(sock, signal) {
+  return guardMethods(sock, signal, null, (prop, args) => {
+    if (prop !== 'sendMessage') return args;
+    const [jid, content, options] = args;
+    return [jid, content, { ...options, signal }];
+  });
+}
+
+/**
+ * Database whose collections and cursors fail after abort
+ */
+export function guardDb(db, signal) {
+  // Chained calls (sort, limit, project, ...) return the raw cursor, so guard those too
+  const guardCursor = (prop, result) =>
+    result && typeof result.toArray === 'function' ? guardMethods(result, signal, guardCursor) : result;
+
+  return guardMethods(db, signal, (prop, result) =>
+    prop === 'collection' ? guardMethods(result, signal, guardCursor) : result
+  );
+}
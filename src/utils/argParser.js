@@ -0,0 +1,261 @@
+/**
+ * Declarative command argument parsing.
+ *
+ * Plugins declare `params` (or `subcommands: { name: { params } }`):
+ *   { name: 'count', type: 'number', required: true, min: 1, description: '...' }
+ *
+ * Types: string, number, enum (with `choices`), mention, jid, rest.
+ * Optional params may declare a `default`.
+ */
+
+export const ARG_TYPES = ['string', 'number', 'enum', 'mention', 'jid', 'rest'];
+
+/**
+ * Thrown when user input does not match the schema
+ */
+export class ArgumentError extends Error {
+  constructor(message, param = null) {
+    super(message);
+    this.name = 'ArgumentError';
+    this.param = param;
+  }
+}
+
+/**
+ * Validate a plugin's schema at load time
+ */
+export function validateSchema(plugin) {
+  const check = (params, where) => {
+    if (!Array.isArray(params)) {
+      throw new Error(`${where}: "params" must be an array`);
+    }
+
+    params.forEach((param, i) => {
+      if (!param?.name || typeof param.name !== 'string') {
+        throw new Error(`${where}: param #${i + 1} is missing a name`);
+      }
+      if (!ARG_TYPES.includes(param.type)) {
+        throw new Error(`${where}: param "${param.name}" has unknown type "${param.type}"`);
+      }
+      if (param.type === 'enum' && (!Array.isArray(param.choices) || param.choices.length === 0)) {
+        throw new Error(`${where}: enum param "${param.name}" needs "choices"`);
+      }
+      if (param.type === 'rest' && i !== params.length - 1) {
+        throw new Error(`${where}: rest param "${param.name}" must be last`);
+      }
+    });
+  };
+
+  if (plugin.params) {
+    check(plugin.params, plugin.name);
+  }
+
+  for (const [name, sub] of Object.entries(plugin.subcommands || {})) {
+    check(sub.params || [], `${plugin.name} ${name}`);
+  }
+}
+
+/**
+ * Check if a plugin declares an argument schema
+ */
+export function hasSchema(plugin) {
+  return Boolean(plugin.params || plugin.subcommands);
+}
+
+/**
+ * Normalize a phone number or JID (null if invalid)
+ */
+export function toJid(raw) {
+  if (raw.includes('@')) {
+    if (!/^[\w.:-]+@(s\.whatsapp\.net|g\.us|lid)$/.test(raw)) return null;
+    return raw;
+  }
+
+  const digits = raw.replace(/[^0-9]/g, '');
+  if (digits.length < 7 || digits.length > 15) return null;
+  return `${digits}@s.whatsapp.net`;
+}
+
+/**
+ * Convert a single token to a typed value
+ */
+function convert(param, raw, mentioned) {
+  switch (param.type) {
+    case 'number': {
+      const value = Number(raw);
+      if (!Number.isFinite(value)) {
+        throw new ArgumentError(`"${param.name}" must be a number`, param);
+      }
+      if (param.integer && !Number.isInteger(value)) {
+        throw new ArgumentError(`"${param.name}" must be a whole number`, param);
+      }
+      if (param.min !== undefined && value < param.min) {
+        throw new ArgumentError(`"${param.name}" must be at least ${param.min}`, param);
+      }
+      if (param.max !== undefined && value > param.max) {
+        throw new ArgumentError(`"${param.name}" must be at most ${param.max}`, param);
+      }
+      return value;
+    }
+
+    case 'enum': {
+      // Case-insensitive match, returning the choice as declared
+      const value = param.choices.find(choice => String(choice).toLowerCase() === raw.toLowerCase());
+      if (value === undefined) {
+        throw new ArgumentError(`"${param.name}" must be one of: ${param.choices.join(', ')}`, param);
+      }
+      return value;
+    }
+
+    case 'mention': {
+      if (!raw.startsWith('@')) {
+        throw new ArgumentError(`"${param.name}" must mention a user (@user)`, param);
+      }
+      // Prefer the JID WhatsApp attached to the mention (may be a LID)
+      const user = raw.slice(1);
+      const jid = mentioned.find(j => j.split('@')[0] === user) || toJid(user);
+      if (!jid) {
+        throw new ArgumentError(`"${param.name}" is not a valid mention`, param);
+      }
+      return jid;
+    }
+
+    case 'jid': {
+      const jid = toJid(raw.replace(/^@/, ''));
+      if (!jid) {
+        throw new ArgumentError(`"${param.name}" must be a phone number or JID`, param);
+      }
+      return jid;
+    }
+
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Split text on whitespace, keeping where each token starts
+ */
+function tokenize(text) {
+  return Array.from(text.matchAll(/\S+/g), match => ({ value: match[0], start: match.index }));
+}
+
+/**
+ * Parse tokens against a list of params.
+ * `rest` is cut from the original text so line breaks and spacing survive.
+ */
+function parseParams(params, tokens, mentioned, text) {
+  const result = {};
+  let index = 0;
+
+  for (const param of params) {
+    if (param.type === 'rest') {
+      const rest = index < tokens.length ? text.slice(tokens[index].start).trimEnd() : '';
+      index = tokens.length;
+
+      if (!rest && param.required) {
+        throw new ArgumentError(`Missing required argument "${param.name}"`, param);
+      }
+      result[param.name] = rest || param.default;
+      continue;
+    }
+
+    const raw = tokens[index]?.value;
+
+    if (raw === undefined) {
+      if (param.required) {
+        throw new ArgumentError(`Missing required argument "${param.name}"`, param);
+      }
+      result[param.name] = param.default;
+      continue;
+    }
+
+    result[param.name] = convert(param, raw, mentioned);
+    index++;
+  }
+
+  if (index < tokens.length) {
+    throw new ArgumentError(`Unexpected argument "${tokens[index].value}"`);
+  }
+
+  return result;
+}
+
+/**
+ * Parse command args against a plugin schema.
+ * `args` is the text after the command name (or its tokens, for older callers).
+ * With subcommands, `subcommand` holds the matched name (or null).
+ */
+export function parseArgs(plugin, args, msg = null) {
+  const mentioned = msg?.message?.extendedTextMessage?.contextInfo?.mentionedJid || [];
+  const text = Array.isArray(args) ? args.join(' ') : args;
+  const tokens = tokenize(text);
+
+  if (plugin.subcommands) {
+    const name = tokens[0]?.value.toLowerCase();
+    const sub = name ? plugin.subcommands[name] : null;
+
+    // Unknown or missing subcommand: let the plugin show its own help
+    if (!sub) {
+      return { subcommand: null };
+    }
+
+    return { subcommand: name, ...parseParams(sub.params || [], tokens.slice(1), mentioned, text) };
+  }
+
+  return parseParams(plugin.params || [], tokens, mentioned, text);
+}
+
+/**
+ * Render one param for usage strings
+ */
+function formatParam(param) {
+  const label = param.type === 'enum'
+    ? param.choices.join('|')
+    : param.type === 'rest'
+      ? `${param.name}...`
+      : param.type === 'mention'
+        ? `@${param.name}`
+        : param.name;
+
+  return param.required ? `<${label}>` : `[${label}]`;
+}
+
+/**
+ * Usage lines (without prefix and command name) generated from the schema.
+ * Falls back to the free-text `usage` for plugins without a schema.
+ */
+export function formatUsage(plugin) {
+  if (plugin.subcommands) {
+    return Object.entries(plugin.subcommands).map(([name, sub]) =>
+      [name, ...(sub.params || []).map(formatParam)].join(' ')
+    );
+  }
+
+  if (plugin.params) {
+    return [plugin.params.map(formatParam).join(' ')];
+  }
+
+  return plugin.usage ? [plugin.usage] : [];
+}
+
+/**
+ * Describe each param for help output
+ */
+export function describeParams(plugin) {
+  const describe = (params, prefix = '') => params.map(param => ({
+    name: `${prefix}${param.name}`,
+    type: param.type === 'enum' ? param.choices.join('|') : param.type,
+    required: Boolean(param.required),
+    default: param.default,
+    description: param.description || ''
+  }));
+
+  if (plugin.subcommands) {
+    return Object.entries(plugin.subcommands).flatMap(([name, sub]) =>
+      describe(sub.params || [], `${name}.`)
+    );
+  }
+
+  return describe(plugin.params || []);
+}
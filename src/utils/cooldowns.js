@@ -0,0 +1,110 @@
+import { parseDuration } from './helpers.js';
+
+export const COOLDOWN_SCOPES = ['user', 'chat', 'global'];
+
+// Expired entries are swept once the map grows past this
+const PRUNE_THRESHOLD = 1000;
+
+/**
+ * Convert one cooldown value (seconds, or a duration like '30s' / '5m') to ms
+ */
+function toMs(value, scope) {
+  const ms = typeof value === 'number' ? value * 1000 : parseDuration(value);
+  if (!Number.isFinite(ms) || ms <= 0) {
+    throw new Error(`Invalid ${scope} cooldown "${value}" (use seconds or a duration like 30s, 5m)`);
+  }
+  return ms;
+}
+
+/**
+ * Normalize a plugin's `cooldown` declaration to `{ user, chat, global }` in ms.
+ *
+ *   cooldown: 10                          // 10s per user
+ *   cooldown: '5m'                        // 5 minutes per user
+ *   cooldown: { user: 10, chat: '1m', global: 2 }
+ *
+ * Returns null when the plugin has no cooldown.
+ */
+export function normalizeCooldown(cooldown) {
+  if (cooldown === undefined || cooldown === null) return null;
+
+  if (typeof cooldown !== 'object') {
+    return { user: toMs(cooldown, 'user') };
+  }
+
+  const limits = {};
+  for (const [scope, value] of Object.entries(cooldown)) {
+    if (!COOLDOWN_SCOPES.includes(scope)) {
+      throw new Error(`Unknown cooldown scope "${scope}" (supported: ${COOLDOWN_SCOPES.join(', ')})`);
+    }
+    limits[scope] = toMs(value, scope);
+  }
+
+  return Object.keys(limits).length > 0 ? limits : null;
+}
+
+/**
+ * In-memory cooldown expiry times per plugin and scope
+ */
+export class CooldownTracker {
+  constructor() {
+    this.expires = new Map();
+  }
+
+  /**
+   * Key of a scope for an actor
+   */
+  key(pluginName, scope, actor) {
+    const subject = scope === 'user' ? actor.id : scope === 'chat' ? actor.chat : '*';
+    return `${pluginName}:${scope}:${subject}`;
+  }
+
+  /**
+   * Remaining cooldown in ms (0 when the command may run)
+   */
+  getRemaining(pluginName, limits, actor) {
+    const now = Date.now();
+    let remaining = 0;
+
+    for (const scope of Object.keys(limits)) {
+      const expiresAt = this.expires.get(this.key(pluginName, scope, actor)) || 0;
+      remaining = Math.max(remaining, expiresAt - now);
+    }
+
+    return remaining;
+  }
+
+  /**
+   * Start the cooldowns of a run
+   */
+  start(pluginName, limits, actor) {
+    const now = Date.now();
+
+    for (const [scope, ms] of Object.entries(limits)) {
+      this.expires.set(this.key(pluginName, scope, actor), now + ms);
+    }
+
+    if (this.expires.size > PRUNE_THRESHOLD) {
+      this.prune();
+    }
+  }
+
+  /**
+   * Drop expired entries
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, expiresAt] of this.expires) {
+      if (expiresAt <= now) this.expires.delete(key);
+    }
+  }
+
+  /**
+   * Clear all cooldowns of a plugin
+   */
+  reset(pluginName) {
+    for (const key of this.expires.keys()) {
+      if (key.startsWith(`${pluginName}:`)) this.expires.delete(key);
+    }
+  }
+}
@@ -6,11 +6,27 @@ export function formatPhone(phone) {
 }
 
 /**
- * Check if user is owner
+ * Strip the device suffix from a JID (123:4@s.whatsapp.net -> 123@s.whatsapp.net)
  */
-export function isOwner(jid) {
-  const ownerNumber = process.env.OWNER_NUMBER;
-  return jid.includes(ownerNumber);
+export function normalizeJid(jid) {
+  if (!jid) return jid;
+  const [user, server] = jid.split('@');
+  return `${user.split(':')[0]}@${server}`;
+}
+
+/**
+ * Check if JID is a group
+ */
+export function isGroupJid(jid) {
+  return Boolean(jid?.endsWith('@g.us'));
+}
+
+/**
+ * Check if user is owner (exact match, device suffix ignored)
+ */
+export function isOwner(jid, ownerNumber = process.env.OWNER_NUMBER) {
+  if (!jid || !ownerNumber) return false;
+  return normalizeJid(jid) === `${String(ownerNumber).replace(/[^0-9]/g, '')}@s.whatsapp.net`;
 }
 
 /**
@@ -28,6 +44,34 @@ export function getMentions(text) {
   return mentions;
 }
 
+const DURATION_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+/**
+ * Parse a duration like 30m, 12h, 7d or 2w into milliseconds (null if invalid)
+ */
+export function parseDuration(text) {
+  const match = /^(\d+)([smhdw])$/i.exec(String(text || '').trim());
+  if (!match || Number(match[1]) === 0) return null;
+  return Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+}
+
+/**
+ * Format milliseconds as a short duration (1d 2h, 5m 10s)
+ */
+export function formatDuration(ms) {
+  const parts = [];
+  let rest = Math.max(0, Math.ceil(ms / 1000)) * 1000;
+
+  for (const [unit, size] of [['d', 86400000], ['h', 3600000], ['m', 60000], ['s', 1000]]) {
+    if (rest >= size) {
+      parts.push(`${Math.floor(rest / size)}${unit}`);
+      rest %= size;
+    }
+  }
+
+  return parts.slice(0, 2).join(' ') || '0s';
+}
+
 /**
  * Sleep helper
  */
@@ -0,0 +1,45 @@
+/**
+ * Small least-recently-used cache on top of Map insertion order
+ */
+export class LruCache {
+  constructor(maxSize = 1000) {
+    this.maxSize = maxSize;
+    this.map = new Map();
+  }
+
+  /**
+   * Get a value and mark it as recently used
+   */
+  get(key) {
+    if (!this.map.has(key)) return undefined;
+
+    const value = this.map.get(key);
+    this.map.delete(key);
+    this.map.set(key, value);
+    return value;
+  }
+
+  /**
+   * Store a value, evicting the least recently used entry when full
+   */
+  set(key, value) {
+    this.map.delete(key);
+    this.map.set(key, value);
+
+    if (this.map.size > this.maxSize) {
+      this.map.delete(this.map.keys().next().value);
+    }
+  }
+
+  has(key) {
+    return this.map.has(key);
+  }
+
+  delete(key) {
+    return this.map.delete(key);
+  }
+
+  get size() {
+    return this.map.size;
+  }
+}
@@ -1,32 +1,233 @@
 import NodeCache from 'node-cache';
+import chalk from 'chalk';
 
-const MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_MAX) || 10;
-const WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW) || 60000;
+const DEFAULT_USER_MAX = 10;
+const DEFAULT_CHAT_MAX = 30;
+const DEFAULT_WINDOW_MS = 60000;
+const DEFAULT_STRIKES = 3;
+const DEFAULT_STRIKE_WINDOW_MS = 600000;
+const DEFAULT_SILENCE_MS = 300000;
+const MAX_SILENCE_MS = 3600000;
 
-export class RateLimiter {
+// Offender state (strikes, silence level) is forgotten after a quiet day
+const STATE_TTL_MS = 86400000;
+
+/**
+ * Buckets and offender state in process memory (single instance)
+ */
+export class MemoryRateLimitStore {
   constructor() {
-    this.cache = new NodeCache({ stdTTL: WINDOW_MS / 1000 });
+    this.buckets = new NodeCache({ stdTTL: 3600, checkperiod: 600, useClones: false });
+    this.states = new NodeCache({ stdTTL: STATE_TTL_MS / 1000, checkperiod: 600, useClones: false });
+  }
+
+  /**
+   * Refill a bucket and take one token. Returns true when a token was available.
+   */
+  async take(key, capacity, windowMs) {
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now };
+
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * capacity / windowMs);
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+
+    this.buckets.set(key, bucket);
+    return allowed;
+  }
+
+  async getState(key) {
+    return this.states.get(key) || null;
+  }
+
+  async setState(key, state) {
+    this.states.set(key, state);
+  }
+}
+
+/**
+ * Buckets and offender state in `rate_limits`, shared by every bot instance
+ * using the same database. Token updates are a single atomic pipeline update.
+ */
+export class MongoRateLimitStore {
+  constructor(mongoManager) {
+    this.mongoManager = mongoManager;
+    this.ready = null;
+  }
+
+  /**
+   * Collection, creating the TTL index on first use
+   */
+  async collection() {
+    const collection = this.mongoManager.getDB().collection('rate_limits');
+
+    this.ready ??= collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+      .catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    await this.ready;
+
+    return collection;
+  }
+
+  async take(key, capacity, windowMs) {
+    const collection = await this.collection();
+    const now = new Date();
+    const elapsed = { $subtract: [now, { $ifNull: ['$updatedAt', now] }] };
+
+    const doc = await collection.findOneAndUpdate(
+      { _id: `bucket:${key}` },
+      [
+        {
+          $set: {
+            tokens: {
+              $min: [capacity, { $add: [{ $ifNull: ['$tokens', capacity] }, { $multiply: [elapsed, capacity / windowMs] }] }]
+            },
+            updatedAt: now,
+            expiresAt: new Date(now.getTime() + windowMs * 2)
+          }
+        },
+        { $set: { allowed: { $gte: ['$tokens', 1] } } },
+        { $set: { tokens: { $cond: ['$allowed', { $subtract: ['$tokens', 1] }, '$tokens'] } } }
+      ],
+      { upsert: true, returnDocument: 'after' }
+    );
+
+    // Driver v6 returns the document, older drivers wrap it in { value }
+    return Boolean((doc?.value ?? doc)?.allowed);
+  }
+
+  async getState(key) {
+    const collection = await this.collection();
+    const doc = await collection.findOne({ _id: `state:${key}` });
+    return doc?.state || null;
+  }
+
+  async setState(key, state) {
+    const collection = await this.collection();
+    await collection.updateOne(
+      { _id: `state:${key}` },
+      { $set: { state, expiresAt: new Date(Date.now() + STATE_TTL_MS) } },
+      { upsert: true }
+    );
+  }
+}
+
+/**
+ * Token-bucket limiter keyed by user and by chat.
+ *
+ * Each bucket holds `max` tokens and refills fully over `windowMs`. When a
+ * bucket is empty the caller is told to warn once per window; after `strikes`
+ * warnings within `strikeWindowMs` a user is silenced, starting at
+ * `silenceMs` and doubling on every repeat (up to an hour).
+ */
+export class RateLimiter {
+  constructor(options = {}) {
+    this.userMax = options.userMax || DEFAULT_USER_MAX;
+    this.chatMax = options.chatMax || DEFAULT_CHAT_MAX;
+    this.windowMs = options.windowMs || DEFAULT_WINDOW_MS;
+    this.strikes = options.strikes || DEFAULT_STRIKES;
+    this.strikeWindowMs = options.strikeWindowMs || DEFAULT_STRIKE_WINDOW_MS;
+    this.silenceMs = options.silenceMs || DEFAULT_SILENCE_MS;
+    this.store = options.store || new MemoryRateLimitStore();
+
+    this.counters = { allowed: 0, limited: 0, warnings: 0, silenced: 0, suppressed: 0, errors: 0 };
   }
 
   /**
-   * Check if user is within rate limit
+   * Take a token for a command.
+   * Returns { allowed, notice: null | 'rateLimited' | 'chatRateLimited' | 'silenced', retryAfter }.
    */
-  checkLimit(userId) {
-    const key = `rate_${userId}`;
-    const current = this.cache.get(key) || 0;
+  async consume({ user, chat }) {
+    try {
+      const state = await this.store.getState(`user:${user}`);
+      const now = Date.now();
+
+      if (state?.silencedUntil > now) {
+        this.counters.suppressed++;
+        return { allowed: false, notice: null, retryAfter: state.silencedUntil - now };
+      }
+
+      if (!await this.store.take(`user:${user}`, this.userMax, this.windowMs)) {
+        return await this.reject('user', user, state);
+      }
+
+      if (chat && chat !== user && !await this.store.take(`chat:${chat}`, this.chatMax, this.windowMs)) {
+        return await this.reject('chat', chat, await this.store.getState(`chat:${chat}`));
+      }
 
-    if (current >= MAX_REQUESTS) {
-      return false;
+      this.counters.allowed++;
+      return { allowed: true, notice: null, retryAfter: 0 };
+    } catch (error) {
+      // Fail open: a broken store must not take every command down
+      this.counters.errors++;
+      console.warn(chalk.yellow('⚠️ Rate limiter store failed, allowing command:'), error.message);
+      return { allowed: true, notice: null, retryAfter: 0 };
     }
+  }
 
-    this.cache.set(key, current + 1);
-    return true;
+  /**
+   * Record a hit on an empty bucket and decide whether to warn or silence
+   */
+  async reject(scope, subject, state) {
+    const now = Date.now();
+    const retryAfter = Math.ceil(this.windowMs / (scope === 'user' ? this.userMax : this.chatMax));
+    state = { warnedAt: 0, strikes: [], level: 0, silencedUntil: 0, ...state };
+
+    this.counters.limited++;
+
+    // One warning per window; everything else is dropped silently
+    if (now - state.warnedAt < this.windowMs) {
+      this.counters.suppressed++;
+      return { allowed: false, notice: null, retryAfter };
+    }
+
+    state.warnedAt = now;
+    let notice = scope === 'chat' ? 'chatRateLimited' : 'rateLimited';
+
+    if (scope === 'user') {
+      state.strikes = [...state.strikes.filter(at => now - at < this.strikeWindowMs), now];
+
+      if (state.strikes.length >= this.strikes) {
+        state.level++;
+        state.strikes = [];
+        state.silencedUntil = now + Math.min(this.silenceMs * 2 ** (state.level - 1), MAX_SILENCE_MS);
+        notice = 'silenced';
+        this.counters.silenced++;
+        console.log(chalk.yellow(`🔇 Silenced ${subject} until ${new Date(state.silencedUntil).toLocaleTimeString()} (level ${state.level})`));
+      }
+    }
+
+    if (notice !== 'silenced') this.counters.warnings++;
+    await this.store.setState(`${scope}:${subject}`, state);
+
+    return {
+      allowed: false,
+      notice,
+      retryAfter: notice === 'silenced' ? state.silencedUntil - now : retryAfter
+    };
+  }
+
+  /**
+   * Clear warnings, strikes and silence for a user or chat
+   */
+  async reset(scope, subject) {
+    await this.store.setState(`${scope}:${subject}`, null);
   }
 
   /**
-   * Reset rate limit for user
+   * Limiter configuration and counters
    */
-  reset(userId) {
-    this.cache.del(`rate_${userId}`);
+  getStats() {
+    return {
+      store: this.store instanceof MongoRateLimitStore ? 'mongo' : 'memory',
+      userMax: this.userMax,
+      chatMax: this.chatMax,
+      windowMs: this.windowMs,
+      ...this.counters
+    };
   }
 }
@@ -0,0 +1,15 @@
+// MongoDB error code when an index exists with different options
+const INDEX_OPTIONS_CONFLICT = 85;
+
+/**
+ * Create a TTL index on `field`, or update its expiry when the index
+ * already exists with a different one.
+ */
+export async function ensureTtlIndex(db, collectionName, field, expireAfterSeconds, name = `ttl_${field}`) {
+  try {
+    await db.collection(collectionName).createIndex({ [field]: 1 }, { expireAfterSeconds, name });
+  } catch (error) {
+    if (error.code !== INDEX_OPTIONS_CONFLICT) throw error;
+    await db.command({ collMod: collectionName, index: { name, expireAfterSeconds } });
+  }
+}
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+// test-antidelete.js - Run with: node test-antidelete.js
+// Checks which deletions anti-delete resends, using in-memory fakes.
+
+import chalk from 'chalk';
+import { AntiDeleteManager } from './src/core/AntiDeleteManager.js';
+import { actorFromKey } from './src/core/IdentityResolver.js';
+
+const GROUP = '120363000000000000@g.us';
+const MEMBER = '2348011111111@s.whatsapp.net';
+const MEMBER_LID = '111111111111111@lid';
+const ADMIN = '2348022222222@s.whatsapp.net';
+
+console.log(chalk.cyan(`
+╭─────────────────────────────────────╮
+│   🗑️  ANTI-DELETE DIAGNOSTIC         │
+╰─────────────────────────────────────╯
+`));
+
+const results = [];
+
+async function check(name, fn) {
+  try {
+    await fn();
+    console.log(chalk.green(`✅ ${name}`));
+    results.push(true);
+  } catch (error) {
+    console.log(chalk.red(`❌ ${name}`));
+    console.log(chalk.red(`   └ ${error.message}`));
+    results.push(false);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// The member's message as the store keeps it
+const original = {
+  key: { remoteJid: GROUP, id: 'LINK1', participant: MEMBER, participantLid: MEMBER_LID },
+  message: { conversation: 'join chat.whatsapp.com/AbCdEfGhIjKl' },
+  messageTimestamp: 1700000000
+};
+
+const messageStore = {
+  loadMessage: async (chatId, id) => (chatId === GROUP && id === original.key.id ? original : null)
+};
+
+const pluginManager = {
+  settings: { get: key => (key === 'owner' ? '2348000000000' : null) },
+  resolveActor: msg => actorFromKey(msg.key),
+  extractMessageText: msg => msg.message?.conversation || ''
+};
+
+const mongoManager = { getDB: () => ({ collection: () => ({}) }) };
+
+/**
+ * Feed a revoke of the stored message and return what was sent
+ */
+async function revoke(key) {
+  const sent = [];
+  const sock = { sendMessage: async (jid, content) => sent.push({ jid, content }) };
+  const manager = new AntiDeleteManager(mongoManager, pluginManager, messageStore);
+
+  const msg = {
+    key: { remoteJid: GROUP, id: 'REVOKE', ...key },
+    message: { protocolMessage: { type: 0, key: { remoteJid: GROUP, id: original.key.id, participant: MEMBER } } }
+  };
+
+  const consumed = await manager.handle({ msg, sock, chatConfig: { antidelete: 'chat' } });
+  assert(consumed, 'revoke was not consumed');
+  return sent;
+}
+
+await check('author deleting their own message is resent', async () => {
+  const sent = await revoke({ participant: MEMBER });
+  assert(sent.length === 2, `expected notice and forward, got ${sent.length} messages`);
+  assert(sent[1].content.forward === original, 'original was not forwarded');
+});
+
+await check('author deleting by LID is matched to the phone JID', async () => {
+  const sent = await revoke({ participant: MEMBER_LID, participantPn: MEMBER });
+  assert(sent.length === 2, `expected a resend, got ${sent.length} messages`);
+});
+
+await check('bot-issued delete (anti-link) is not resent', async () => {
+  const sent = await revoke({ fromMe: true, participant: '2348000000000@s.whatsapp.net' });
+  assert(sent.length === 0, `bot delete was resent (${sent.length} messages)`);
+});
+
+await check('admin removing a member message is not resent', async () => {
+  const sent = await revoke({ participant: ADMIN });
+  assert(sent.length === 0, `admin delete was resent (${sent.length} messages)`);
+});
+
+const passed = results.filter(Boolean).length;
+const failed = results.length - passed;
+
+console.log(chalk.cyan('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
+console.log(chalk.green(`✅ Passed: ${passed}`));
+console.log(chalk.red(`❌ Failed: ${failed}`));
+console.log(chalk.cyan('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n'));
+
+process.exit(failed === 0 ? 0 : 1);
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+// test-auth-import.js - Run with: node test-auth-import.js
+// Checks that sessions/ file names map back to the key ids Baileys stored.
+
+import chalk from 'chalk';
+import { parseSessionFilename } from './src/core/MongoAuthState.js';
+
+console.log(chalk.cyan(`
+╭─────────────────────────────────────╮
+│   📂 SESSION IMPORT DIAGNOSTIC      │
+╰─────────────────────────────────────╯
+`));
+
+const results = [];
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log(chalk.green(`✅ ${name}`));
+    results.push(true);
+  } catch (error) {
+    console.log(chalk.red(`❌ ${name}`));
+    console.log(chalk.red(`   └ ${error.message}`));
+    results.push(false);
+  }
+}
+
+function expectParsed(filename, category, id) {
+  const parsed = parseSessionFilename(filename);
+  if (parsed?.category !== category || parsed?.id !== id) {
+    throw new Error(`${filename}: expected ${category} "${id}", got ${JSON.stringify(parsed)}`);
+  }
+}
+
+check('creds.json maps to creds', () => {
+  expectParsed('creds.json', 'creds', 'creds');
+});
+
+check('non-key files are skipped', () => {
+  if (parseSessionFilename('notes.txt') !== null) throw new Error('notes.txt was parsed');
+  if (parseSessionFilename('unknown-1.json') !== null) throw new Error('unknown-1.json was parsed');
+});
+
+check('device separators are restored', () => {
+  expectParsed('session-12345-2@s.whatsapp.net.json', 'session', '12345:2@s.whatsapp.net');
+  expectParsed('pre-key-17.json', 'pre-key', '17');
+});
+
+check('app state keys keep slashes', () => {
+  expectParsed('app-state-sync-key-AAAA__BBB=.json', 'app-state-sync-key', 'AAAA/BBB=');
+});
+
+check('hyphenated group JIDs keep their hyphen', () => {
+  expectParsed('sender-key-memory-1234567890-1600000000@g.us.json', 'sender-key-memory', '1234567890-1600000000@g.us');
+  expectParsed(
+    'sender-key-1234567890-1600000000@g.us--12345--0.json',
+    'sender-key',
+    '1234567890-1600000000@g.us::12345::0'
+  );
+  expectParsed('sender-key-120363000000000000@g.us--12345--0.json', 'sender-key', '120363000000000000@g.us::12345::0');
+});
+
+const passed = results.filter(Boolean).length;
+const failed = results.length - passed;
+
+console.log(chalk.cyan('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
+console.log(chalk.green(`✅ Passed: ${passed}`));
+console.log(chalk.red(`❌ Failed: ${failed}`));
+console.log(chalk.cyan('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n'));
+
+process.exit(failed === 0 ? 0 : 1);
@@ -4,8 +4,9 @@
 import chalk from 'chalk';
 import { File } from 'megajs';
 import fs from 'fs/promises';
+import { MegaSessionProvider } from './src/core/SessionProviders.js';
 
-const SESSION_ID = 'Groq~yrhRkALQ#QU_IJYwIF0LguigC8YWZmAGGlBEx5Dp9v4cnZavWArk';
+const SESSION_ID = process.env.SESSION_ID || 'Groq~yrhRkALQ#QU_IJYwIF0LguigC8YWZmAGGlBEx5Dp9v4cnZavWArk';
 
 console.log(chalk.cyan(`
 ╭─────────────────────────────────────╮
@@ -19,17 +20,15 @@ async function testMegaDownload() {
     console.log(chalk.blue('📝 Step 1: Parsing SESSION_ID'));
     console.log(chalk.cyan(`  Full ID: ${SESSION_ID}`));
     
-    const [botName, fileData] = SESSION_ID.split('~');
-    const [fileId, key] = fileData.split('#');
+    const { botName, fileId, key, url: megaUrl } = MegaSessionProvider.parse(SESSION_ID);
     
-    console.log(chalk.cyan(`  Bot Name: ${botName}`));
+    console.log(chalk.cyan(`  Bot Name: ${botName || 'n/a'}`));
     console.log(chalk.cyan(`  File ID: ${fileId} (${fileId.length} chars)`));
     console.log(chalk.cyan(`  Key: ${key.substring(0, 30)}... (${key.length} chars)`));
     console.log(chalk.green('✅ Parsing successful\n'));
 
     // Construct Mega URL
     console.log(chalk.blue('🔗 Step 2: Constructing Mega URL'));
-    const megaUrl = `https://mega.nz/file/${fileId}#${key}`;
     console.log(chalk.cyan(`  URL: ${megaUrl}`));
     console.log(chalk.green('✅ URL constructed\n'));
 
@@ -134,7 +133,7 @@ async function testMegaDownload() {
     console.log(chalk.yellow('  1. Verify the SESSION_ID is correct'));
     console.log(chalk.yellow('  2. Check if the Mega link is still valid'));
     console.log(chalk.yellow('  3. Try downloading manually from:'));
-    console.log(chalk.cyan(`     https://mega.nz/file/${SESSION_ID.split('~')[1]}\n`));
+    console.log(chalk.cyan(`     https://mega.nz/file/${SESSION_ID.replace(/^(mega:|[^~]*~)/, '')}\n`));
     
     console.log(chalk.yellow('  4. If manual download fails:'));
     console.log(chalk.yellow('     • The file may have been deleted'));
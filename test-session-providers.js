@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+// test-session-providers.js - Run with: node test-session-providers.js
+// Exercises the SESSION_ID providers that work without network access.
+
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  resolveSessionProvider,
+  validateCreds,
+  SessionProviderError,
+  MegaSessionProvider,
+  FileSessionProvider,
+  Base64SessionProvider,
+  GridFSSessionProvider
+} from './src/core/SessionProviders.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE = path.join(__dirname, 'test-creds.json');
+
+console.log(chalk.cyan(`
+╭─────────────────────────────────────╮
+│   🔐 SESSION PROVIDER DIAGNOSTIC    │
+╰─────────────────────────────────────╯
+`));
+
+const results = [];
+
+async function check(name, fn) {
+  try {
+    await fn();
+    console.log(chalk.green(`✅ ${name}`));
+    results.push(true);
+  } catch (error) {
+    console.log(chalk.red(`❌ ${name}`));
+    console.log(chalk.red(`   └ ${error.message}`));
+    results.push(false);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+async function expectProviderError(fn, code) {
+  try {
+    await fn();
+  } catch (error) {
+    assert(error instanceof SessionProviderError, `expected SessionProviderError, got ${error.name}`);
+    assert(error.code === code, `expected code ${code}, got ${error.code}`);
+    return error;
+  }
+  throw new Error(`expected ${code} error, nothing was thrown`);
+}
+
+async function testProviders() {
+  const creds = await fs.readFile(FIXTURE);
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'groq-session-'));
+  const tmpCreds = path.join(tmpDir, 'creds.json');
+  await fs.writeFile(tmpCreds, creds);
+
+  console.log(chalk.blue('📝 Scheme resolution'));
+
+  await check('legacy BotName~fileId#key resolves to mega', () => {
+    const provider = resolveSessionProvider('Groq~yrhRkALQ#QU_IJYwIF0LguigC8YWZmAGGlBEx5Dp9v4cnZavWArk');
+    assert(provider instanceof MegaSessionProvider, `got ${provider.name}`);
+  });
+
+  await check('prefixed schemes resolve to their provider', () => {
+    assert(resolveSessionProvider('mega:yrhRkALQ#QU_IJYwIF0LguigC8') instanceof MegaSessionProvider, 'mega:');
+    assert(resolveSessionProvider('file:./creds.json') instanceof FileSessionProvider, 'file:');
+    assert(resolveSessionProvider('base64:e30=') instanceof Base64SessionProvider, 'base64:');
+    assert(resolveSessionProvider('gridfs:creds.json') instanceof GridFSSessionProvider, 'gridfs:');
+  });
+
+  await check('empty and unknown SESSION_IDs are rejected', async () => {
+    await expectProviderError(() => resolveSessionProvider(''), 'MISSING_SESSION_ID');
+    await expectProviderError(() => resolveSessionProvider('ftp:somewhere'), 'UNKNOWN_SCHEME');
+  });
+
+  console.log(chalk.blue('\n🔗 Mega parsing'));
+
+  await check('mega SESSION_ID is split into file id and key', () => {
+    const parsed = MegaSessionProvider.parse('Groq~yrhRkALQ#QU_IJYwIF0LguigC8YWZmAGGlBEx5Dp9v4cnZavWArk');
+    assert(parsed.botName === 'Groq', 'bot name');
+    assert(parsed.fileId === 'yrhRkALQ', 'file id');
+    assert(parsed.url === 'https://mega.nz/file/yrhRkALQ#QU_IJYwIF0LguigC8YWZmAGGlBEx5Dp9v4cnZavWArk', 'url');
+  });
+
+  await check('malformed mega SESSION_IDs report structured errors', async () => {
+    await expectProviderError(() => MegaSessionProvider.parse('Groq~yrhRkALQ'), 'INVALID_FORMAT');
+    await expectProviderError(() => MegaSessionProvider.parse('Groq~abc#QU_IJYwIF0LguigC8'), 'INVALID_FILE_ID');
+    await expectProviderError(() => MegaSessionProvider.parse('mega:yrhRkALQ#short'), 'INVALID_KEY');
+  });
+
+  console.log(chalk.blue('\n📁 File provider'));
+
+  await check('file: provider reads creds from disk', async () => {
+    for (const sessionId of [`file:${tmpCreds}`, `file://${tmpCreds}`]) {
+      const provider = resolveSessionProvider(sessionId);
+      provider.validate();
+      const data = await provider.download();
+      validateCreds(data, provider.name);
+    }
+  });
+
+  await check('file: provider reports missing files', async () => {
+    const provider = resolveSessionProvider(`file:${path.join(tmpDir, 'missing.json')}`);
+    provider.validate();
+    await expectProviderError(() => provider.download(), 'NOT_FOUND');
+  });
+
+  console.log(chalk.blue('\n🧬 Base64 provider'));
+
+  await check('base64: provider decodes inline creds', async () => {
+    const provider = resolveSessionProvider(`base64:${creds.toString('base64')}`);
+    provider.validate();
+    const parsed = validateCreds(await provider.download(), provider.name);
+    assert(parsed.noiseKey, 'noiseKey missing after decode');
+  });
+
+  await check('base64: provider rejects bad payloads', async () => {
+    await expectProviderError(() => resolveSessionProvider('base64:   ').validate(), 'INVALID_FORMAT');
+    await expectProviderError(() => resolveSessionProvider('base64:not base64!').validate(), 'INVALID_ENCODING');
+  });
+
+  console.log(chalk.blue('\n🗄️  GridFS provider'));
+
+  await check('gridfs: provider requires a MongoDB connection', async () => {
+    await expectProviderError(() => resolveSessionProvider('gridfs:creds.json').validate(), 'MISSING_DEPENDENCY');
+  });
+
+  console.log(chalk.blue('\n🧪 Creds validation'));
+
+  await check('non-creds JSON is rejected', async () => {
+    await expectProviderError(() => validateCreds(Buffer.from('')), 'EMPTY');
+    await expectProviderError(() => validateCreds(Buffer.from('{oops')), 'INVALID_JSON');
+    await expectProviderError(() => validateCreds(Buffer.from('{"hello":1}')), 'INVALID_CREDS');
+  });
+
+  await fs.rm(tmpDir, { recursive: true, force: true });
+
+  const passed = results.filter(Boolean).length;
+  const failed = results.length - passed;
+
+  console.log(chalk.cyan('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
+  console.log(chalk.green(`✅ Passed: ${passed}`));
+  console.log(chalk.red(`❌ Failed: ${failed}`));
+  console.log(chalk.cyan('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n'));
+
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+testProviders();